@@ -1,12 +1,15 @@
 // app.js - Production Ready VaniJS Application
 import { vani } from './vanijs.js';
-import { vaniRouter } from './router.js';
+import { vaniRouter, Outlet } from './router.js';
 import { vaniMiddlewares } from './middleware.js';
 import { vaniPluginSystem } from './plugins.js';
 import { setupMockApi } from './mock-api.js';
 
 // Initialize mock API for development/demo purposes
-setupMockApi();
+// (this module is also loaded in Node when routes are prerendered at build time)
+if (typeof window !== 'undefined') {
+    setupMockApi();
+}
 
 // ==================== APPLICATION CONFIGURATION ====================
 const APP_CONFIG = {
@@ -97,8 +100,17 @@ function handleSWMessage(message) {
 
 // ==================== CORE COMPONENTS ====================
 
+// Shared app-wide values (theme, current user, locale, feature flags),
+// provided once by AppLayout and read with vani.useContext(AppContext)
+const AppContext = vani.createContext({
+    theme: APP_CONFIG.theme.darkMode ? 'dark' : 'light',
+    user: null,
+    locale: 'en',
+    features: APP_CONFIG.features
+});
+
 // Main App Layout Component
-vani.defineComponent('AppLayout', ({ vani, props, t }) => {
+vani.defineComponent('AppLayout', ({ vani, t }) => {
     const [state, setState] = vani.useState({
         sidebarOpen: false,
         theme: APP_CONFIG.theme.darkMode ? 'dark' : 'light',
@@ -116,6 +128,14 @@ vani.defineComponent('AppLayout', ({ vani, props, t }) => {
         vani.setConfig('app', 'theme', newTheme);
     };
 
+    // A new value re-renders every consumer, so only build one when it changes
+    const appContext = vani.useMemo(() => ({
+        theme: state.theme,
+        user: vani.auth.user,
+        locale: vani.currentLanguage,
+        features: APP_CONFIG.features
+    }), [state.theme, vani.auth.user, vani.currentLanguage]);
+
     return vani.createElement('div', { className: `app-layout theme-${state.theme}` },
         // Header
         vani.createElement('header', { className: 'app-header' },
@@ -152,7 +172,8 @@ vani.defineComponent('AppLayout', ({ vani, props, t }) => {
         // Main Content
         vani.createElement('main', { className: 'app-main' },
             vani.createElement('div', { className: 'content-wrapper' },
-                props.children
+                vani.createElement(AppContext.Provider, { value: appContext },
+                    vani.createElement(Outlet))
             )
         ),
 
@@ -187,8 +208,13 @@ vani.defineComponent('Dashboard', ({ vani }) => {
     );
 });
 
+// Shown while a lazily loaded page is fetched
+vani.defineComponent('PageLoading', ({ t }) => {
+    return vani.createElement('div', { className: 'p-6 text-center text-gray-500', role: 'status' }, t('loading'));
+});
+
 // Login Component
-vani.defineComponent('LoginForm', ({ vani }) => {
+vani.defineComponent('LoginForm', ({ vani, props }) => {
     const [state, setState] = vani.useState({ email: '', password: '', error: null, loading: false });
 
     const handleSubmit = async (e) => {
@@ -197,8 +223,8 @@ vani.defineComponent('LoginForm', ({ vani }) => {
 
         const success = await vani.auth.login({ email: state.email, password: state.password });
         if (success) {
-            const params = new URLSearchParams(window.location.search);
-            const returnUrl = params.get('return') || '/dashboard';
+            // ?return= set by the requireAuth middleware, parsed by the router
+            const returnUrl = props.query?.return || '/dashboard';
             vani.navigate(returnUrl);
         } else {
             setState({ loading: false, error: 'Invalid credentials' });
@@ -236,7 +262,7 @@ vani.defineComponent('LoginForm', ({ vani }) => {
             }, state.loading ? 'Signing In...' : 'Sign In'),
             vani.createElement('p', { className: 'text-center text-sm text-gray-600' },
                 "Don't have an account? ",
-                vani.createElement('a', { href: '#/register', className: 'text-blue-600 hover:underline' }, 'Register')
+                vani.createElement('a', { href: '/register', className: 'text-blue-600 hover:underline' }, 'Register')
             )
         )
     );
@@ -295,7 +321,7 @@ vani.defineComponent('RegisterForm', ({ vani }) => {
             }, 'Register'),
             vani.createElement('p', { className: 'text-center text-sm text-gray-600' },
                 'Already have an account? ',
-                vani.createElement('a', { href: '#/login', className: 'text-blue-600 hover:underline' }, 'Sign In')
+                vani.createElement('a', { href: '/login', className: 'text-blue-600 hover:underline' }, 'Sign In')
             )
         )
     );
@@ -313,16 +339,20 @@ vaniRouter.defineRoute('/register', 'RegisterForm', {}, [
     vaniMiddlewares.auth.requireGuest
 ]);
 
-// Protected routes
-vaniRouter.defineRoute('/', 'Dashboard', {}, [
-    vaniMiddlewares.auth.requireAuth,
-    vaniMiddlewares.router.navigationLogger
-]);
-
-vaniRouter.defineRoute('/dashboard', 'Dashboard', {}, [
+// Protected routes (user-specific, so never prerendered), rendered inside
+// AppLayout's Outlet; the layout stays mounted while moving between them
+vaniRouter.defineRoute('/', 'AppLayout', {}, [
     vaniMiddlewares.auth.requireAuth,
     vaniMiddlewares.router.navigationLogger
-]);
+], {
+    prerender: false,
+    children: [
+        { path: '', component: 'Dashboard' },
+        { path: 'dashboard', component: 'Dashboard' },
+        // Loaded on first visit, as a separate chunk
+        { path: 'reports', component: () => import('./pages/Reports.js') }
+    ]
+});
 
 // ==================== INTERNATIONALIZATION ====================
 
@@ -377,8 +407,8 @@ async function initializeApp() {
         // Initialize framework
         vani.init();
         
-        // Initialize router
-        vaniRouter.init('app');
+        // Initialize router (clean /dashboard URLs, matching the prerendered pages)
+        vaniRouter.init('app', { mode: 'history', pending: 'PageLoading' });
         
         // Register service worker
         if (APP_CONFIG.features.offline) {
@@ -523,10 +553,12 @@ function setupDataSync() {
 // ==================== APPLICATION START ====================
 
 // Start the application when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeApp);
-} else {
-    initializeApp();
+if (typeof document !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initializeApp);
+    } else {
+        initializeApp();
+    }
 }
 
 // Export for testing and debugging
@@ -537,6 +569,7 @@ if (typeof window !== 'undefined') {
         middlewares: vaniMiddlewares,
         plugins: vaniPluginSystem,
         config: APP_CONFIG,
+        context: AppContext,
         utils: {
             initializeApp,
             registerServiceWorker,
@@ -546,9 +579,11 @@ if (typeof window !== 'undefined') {
 }
 
 // Handle beforeunload for cleanup
-window.addEventListener('beforeunload', () => {
-    vani.pluginSystem?.executeHook('app:beforeunload');
-});
+if (typeof window !== 'undefined') {
+    window.addEventListener('beforeunload', () => {
+        vani.pluginSystem?.executeHook('app:beforeunload');
+    });
+}
 
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
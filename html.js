@@ -0,0 +1,208 @@
+// html.js - Tagged-template authoring for VaniJS (no build step required)
+import { vani, Fragment } from './vanijs.js';
+
+// Marks where an interpolated value sits in the joined template source
+const SLOT = '\u0000';
+const SLOT_PATTERN = /\u0000(\d+)\u0000/g;
+const SINGLE_SLOT = /^\u0000(\d+)\u0000$/;
+
+// Elements that never have children, so `<input>` needs no closing tag
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// Parsed templates, keyed by the (per call site, stable) strings array
+const templateCache = new WeakMap();
+
+// ==================== TEMPLATE PARSER ====================
+
+// A part is either static text or { slot: index } into the values array
+function splitSlots(text) {
+    const parts = [];
+    let lastIndex = 0;
+
+    text.replace(SLOT_PATTERN, (match, index, offset) => {
+        if (offset > lastIndex) parts.push(text.slice(lastIndex, offset));
+        parts.push({ slot: Number(index) });
+        lastIndex = offset + match.length;
+        return match;
+    });
+
+    if (lastIndex < text.length) parts.push(text.slice(lastIndex));
+    return parts;
+}
+
+// Attribute values: a lone slot keeps the value as-is (functions, objects),
+// anything mixed is joined into a string
+function parseValue(text) {
+    const single = text.match(SINGLE_SLOT);
+    return single ? { slot: Number(single[1]) } : { parts: splitSlots(text) };
+}
+
+// JSX-like whitespace: drop indentation-only text, trim line breaks at edges
+function normalizeText(text) {
+    if (!text.trim() && text.includes('\n')) return '';
+    return text.replace(/^\s*\n\s*|\s*\n\s*$/g, '');
+}
+
+function parseTemplate(strings) {
+    const source = strings.reduce((joined, string, index) => `${joined}${SLOT}${index - 1}${SLOT}${string}`);
+    const root = { children: [] };
+    const stack = [root];
+    let pos = 0;
+
+    const fail = (message) => {
+        throw new Error(`html: ${message} at "${source.slice(pos, pos + 20).replace(SLOT_PATTERN, '${…}')}"`);
+    };
+    const skipWhitespace = () => {
+        while (/\s/.test(source[pos] || '')) pos++;
+    };
+    const readUntil = (pattern) => {
+        const start = pos;
+        while (pos < source.length && !pattern.test(source[pos])) pos++;
+        return source.slice(start, pos);
+    };
+
+    while (pos < source.length) {
+        const current = stack[stack.length - 1];
+
+        if (source.startsWith('<!--', pos)) {
+            const end = source.indexOf('-->', pos);
+            if (end === -1) fail('unterminated comment');
+            pos = end + 3;
+            continue;
+        }
+
+        if (source[pos] !== '<') {
+            const text = normalizeText(readUntil(/</));
+            if (text) current.children.push(...splitSlots(text));
+            continue;
+        }
+
+        // Closing tag: </name>, </${Component}> or the generic <//>
+        if (source[pos + 1] === '/') {
+            pos += 2;
+            const name = readUntil(/>/).trim();
+            if (source[pos] !== '>') fail('unterminated closing tag');
+            if (stack.length === 1) fail(`unexpected </${name}>`);
+
+            const opening = current.tag;
+            if (name && name !== '/' && !SINGLE_SLOT.test(name) && !('slot' in opening) && name !== resolveValue(opening, [])) {
+                fail(`expected </${resolveValue(opening, [])}> but found </${name}>`);
+            }
+            pos++;
+            stack.pop();
+            continue;
+        }
+
+        pos++;
+        const node = { tag: parseValue(readUntil(/[\s/>]/)), attributes: [], children: [] };
+        if (!('slot' in node.tag) && node.tag.parts.length === 0) fail('missing tag name');
+
+        // Attributes: name, name=value, name="a ${b}", ...${spread}
+        for (;;) {
+            skipWhitespace();
+
+            if (source[pos] === '>' || source.startsWith('/>', pos)) break;
+            if (pos >= source.length) fail('unterminated tag');
+
+            if (source.startsWith('...', pos)) {
+                pos += 3;
+                const spread = readUntil(/[\s/>]/).match(SINGLE_SLOT);
+                if (!spread) fail('spread needs an interpolated object');
+                node.attributes.push({ spread: Number(spread[1]) });
+                continue;
+            }
+
+            const name = readUntil(/[\s=/>]/);
+            if (!name) fail('invalid attribute');
+            skipWhitespace();
+
+            if (source[pos] !== '=') {
+                node.attributes.push({ name, value: { parts: [true] } });
+                continue;
+            }
+
+            pos++;
+            skipWhitespace();
+
+            const quote = source[pos];
+            let raw;
+            if (quote === '"' || quote === "'") {
+                pos++;
+                raw = readUntil(new RegExp(quote));
+                pos++;
+            } else {
+                // Unquoted: up to whitespace, `>` or the `/>` of a self-closing tag
+                const start = pos;
+                while (pos < source.length && !/[\s>]/.test(source[pos]) && !source.startsWith('/>', pos)) pos++;
+                raw = source.slice(start, pos);
+            }
+            node.attributes.push({ name, value: parseValue(raw) });
+        }
+
+        current.children.push(node);
+
+        if (source[pos] === '/') {
+            pos += 2;
+        } else if (!('slot' in node.tag) && VOID_ELEMENTS.has(resolveValue(node.tag, []))) {
+            pos++;
+        } else {
+            pos++;
+            stack.push(node);
+        }
+    }
+
+    if (stack.length > 1) fail('unclosed tag');
+    return root.children;
+}
+
+// ==================== VNODE BUILDER ====================
+
+function resolveValue(value, values) {
+    if ('slot' in value) return values[value.slot];
+
+    // A bare attribute (`disabled`) carries `true` as its only part
+    if (value.parts.length === 1 && value.parts[0] === true) return true;
+
+    return value.parts
+        .map(part => typeof part === 'string' ? part : values[part.slot] ?? '')
+        .join('');
+}
+
+function build(node, values, createElement) {
+    if (typeof node === 'string') return node;
+    if ('slot' in node && !node.tag) return values[node.slot];
+
+    const props = {};
+    node.attributes.forEach(attribute => {
+        if ('spread' in attribute) {
+            Object.assign(props, values[attribute.spread]);
+        } else {
+            props[attribute.name] = resolveValue(attribute.value, values);
+        }
+    });
+
+    const children = node.children.map(child => build(child, values, createElement));
+    return createElement(resolveValue(node.tag, values), props, ...children);
+}
+
+// Bind the tag to any createElement-compatible function
+function createHtml(createElement) {
+    return function html(strings, ...values) {
+        let template = templateCache.get(strings);
+        if (!template) {
+            template = parseTemplate(strings);
+            templateCache.set(strings, template);
+        }
+
+        const nodes = template.map(node => build(node, values, createElement));
+        return nodes.length === 1 ? nodes[0] : createElement(Fragment, null, ...nodes);
+    };
+}
+
+const html = createHtml((tag, props, ...children) => vani.createElement(tag, props, ...children));
+vani.html = html;
+
+export { html, createHtml };
+export default html;
@@ -120,7 +120,7 @@ const authMiddlewares = {
     // Require authentication
     requireAuth: (context, next) => {
         if (!context.vani.isAuthenticated()) {
-            context.redirect('/login?return=' + encodeURIComponent(context.path));
+            context.redirect('/login?return=' + encodeURIComponent(context.fullPath || context.path));
             throw new Error('Navigation cancelled');
         }
         return next();
@@ -398,10 +398,14 @@ const routerMiddlewares = {
         return next();
     },
 
-    // Query parameter parsing
+    // Query parameter parsing. The router already sets context.query (from
+    // the hash in hash mode); this only fills it in for contexts without one
     parseQueryParams: (context, next) => {
-        const url = new URL(window.location.href);
-        context.query = Object.fromEntries(url.searchParams.entries());
+        if (!context.query) {
+            context.query = context.vani.router
+                ? context.vani.router.getQuery()
+                : Object.fromEntries(new URL(window.location.href).searchParams.entries());
+        }
         return next();
     },
 
@@ -568,13 +572,16 @@ const securityMiddlewares = {
             return originalFetch.call(this, url, options);
         };
 
-        // Restore original fetch after navigation
+        // Restore original fetch after navigation (hashchange or, in
+        // history mode, popstate)
         const cleanup = () => {
             window.fetch = originalFetch;
             window.removeEventListener('hashchange', cleanup);
+            window.removeEventListener('popstate', cleanup);
         };
 
         window.addEventListener('hashchange', cleanup);
+        window.addEventListener('popstate', cleanup);
 
         return next();
     },
@@ -698,6 +705,7 @@ const performanceMiddlewares = {
         };
 
         window.addEventListener('hashchange', cleanup, { once: true });
+        window.addEventListener('popstate', cleanup, { once: true });
 
         return next();
     }
@@ -0,0 +1,42 @@
+// pages/Reports.js - Admin reports page, loaded on first visit to /reports
+import { vani } from '../vanijs.js';
+
+const REPORTS = {
+    week: { users: 128, orders: 342, revenue: 12840 },
+    month: { users: 561, orders: 1490, revenue: 55320 }
+};
+
+vani.defineComponent('Reports', ({ vani, t }) => {
+    const [period, setPeriod] = vani.useState('week');
+    const report = REPORTS[period];
+
+    const periodButton = (value, label) => vani.createElement('button', {
+        className: period === value
+            ? 'px-3 py-1 rounded bg-blue-600 text-white'
+            : 'px-3 py-1 rounded bg-gray-100 text-gray-700 hover:bg-gray-200',
+        onClick: () => setPeriod(value)
+    }, label);
+
+    const stat = (label, value) => vani.createElement('div', { className: 'bg-white rounded-lg shadow p-6' },
+        vani.createElement('p', { className: 'text-sm text-gray-500' }, label),
+        vani.createElement('p', { className: 'text-2xl font-semibold text-gray-900' }, value)
+    );
+
+    return vani.createElement('div', { className: 'p-6 space-y-6' },
+        vani.createElement('div', { className: 'flex justify-between items-center' },
+            vani.createElement('h1', { className: 'text-3xl font-bold text-gray-900' }, 'Reports'),
+            vani.createElement('div', { className: 'space-x-2' },
+                periodButton('week', 'This week'),
+                periodButton('month', 'This month')
+            )
+        ),
+        vani.createElement('div', { className: 'grid grid-cols-1 sm:grid-cols-3 gap-4' },
+            stat(t('dashboard.users'), report.users),
+            stat(t('dashboard.orders'), report.orders),
+            stat(t('dashboard.revenue'), `$${report.revenue.toLocaleString()}`)
+        )
+    );
+});
+
+// The router resolves the lazy route to this registered component
+export default 'Reports';
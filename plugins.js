@@ -472,7 +472,17 @@ const persistencePlugin = {
             const saved = localStorage.getItem(this.options.storageKey);
             if (saved) {
                 const parsed = JSON.parse(saved);
+                const previous = { ...this.vani.state };
                 Object.assign(this.vani.state, parsed);
+
+                // Persisted stores and keyed signals read from vani.state;
+                // tell their subscribers
+                this.vani.stores?.forEach(store => {
+                    if (store.stateKey in parsed) {
+                        store.sync(previous[store.stateKey]);
+                    }
+                });
+                Object.keys(parsed).forEach(key => this.vani.keyedSignals?.get(key)?.sync());
                 
                 this.pluginSystem.executeHook('persistence:state-loaded', {
                     state: parsed,
@@ -545,8 +555,20 @@ const devToolsPlugin = {
             return;
         }
 
+        this.storeActions = [];
+
         this.setupDevTools();
         this.setupConsoleCommands();
+
+        // Keep the last 100 store actions for inspection
+        pluginSystem.registerHooks('devtools', {
+            'store:action': (entry) => {
+                this.storeActions.push(entry);
+                if (this.storeActions.length > 100) {
+                    this.storeActions.shift();
+                }
+            }
+        });
         
         console.log('✅ DevTools plugin initialized');
     },
@@ -559,6 +581,13 @@ const devToolsPlugin = {
             getTranslations: () => ({ ...this.vani.i18n }),
             getComponents: () => Object.keys(this.vani.components),
             getPlugins: () => this.pluginSystem.getAll(),
+
+            // Stores
+            getStores: () => Object.fromEntries(
+                Array.from(this.vani.stores || []).map(([name, store]) => [name, store.getState()])
+            ),
+            getStoreActions: () => [...this.storeActions],
+            dispatch: (storeName, action, ...args) => this.vani.stores?.get(storeName)?.dispatch(action, ...args),
             
             // Navigation control
             navigate: (path) => this.vani.navigate(path),
@@ -592,6 +621,7 @@ const devToolsPlugin = {
     setupConsoleCommands() {
         this.pluginSystem.registerCommands('devtools', {
             'inspect-state': () => console.log('State:', this.vani.devtools.getState()),
+            'inspect-stores': () => console.log('Stores:', this.vani.devtools.getStores()),
             'list-routes': () => console.log('Routes:', this.vani.devtools.getRoutes()),
             'list-plugins': () => console.log('Plugins:', this.vani.devtools.getPlugins()),
             'performance-metrics': () => console.log('Metrics:', this.vani.devtools.getMetrics()),
@@ -1061,6 +1091,195 @@ const analyticsPlugin = {
     }
 };
 
+// 6. History Plugin (undo/redo)
+// Records `state:update` transitions of opted-in state keys: useState(…, { history: true }),
+// createStore({ history: true }) or vani.history.track(stateKey).
+const historyPlugin = {
+    init(vani, pluginSystem, options = {}) {
+        this.vani = vani;
+        this.pluginSystem = pluginSystem;
+        this.options = {
+            depth: 100,
+            ...options
+        };
+
+        this.past = [];
+        this.future = [];
+        this.transactionEntry = null;
+        this.transactionDepth = 0;
+        this.restoring = false;
+
+        // Highest priority runs before the first await in executeHook, so
+        // updates made inside a transaction are recorded while it is open
+        const recordUpdate = (stateKey, oldState, newState) => this.record(stateKey, oldState, newState);
+        recordUpdate.priority = 1;
+
+        pluginSystem.registerHooks('history', {
+            'state:update': recordUpdate,
+            'state:destroy': (stateKey) => this.forget(stateKey)
+        });
+
+        const history = {
+            undo: () => this.undo(),
+            redo: () => this.redo(),
+            transaction: (fn, label) => this.transaction(fn, label),
+            track: (stateKey) => vani.historyKeys.add(stateKey),
+            untrack: (stateKey) => {
+                vani.historyKeys.delete(stateKey);
+                this.forget(stateKey);
+            },
+            clear: () => this.clear(),
+            setDepth: (depth) => {
+                this.options.depth = depth;
+                this.trim();
+            },
+            getEntries: () => ({ past: [...this.past], future: [...this.future] })
+        };
+
+        Object.defineProperties(history, {
+            canUndo: { get: () => this.past.length > 0, enumerable: true },
+            canRedo: { get: () => this.future.length > 0, enumerable: true }
+        });
+
+        vani.history = history;
+        console.log('✅ History plugin initialized');
+    },
+
+    record(stateKey, oldState, newState) {
+        if (this.restoring || !this.vani.historyKeys.has(stateKey)) return;
+
+        const entry = this.transactionEntry || {
+            label: null,
+            changes: new Map(),
+            timestamp: Date.now()
+        };
+
+        // Several updates of one key in a transaction collapse into one change
+        const change = entry.changes.get(stateKey);
+        if (change) {
+            change.after = newState;
+        } else {
+            entry.changes.set(stateKey, { before: oldState, after: newState });
+        }
+
+        if (!this.transactionEntry) {
+            this.push(entry);
+        }
+    },
+
+    push(entry) {
+        this.past.push(entry);
+        this.future = [];
+        this.trim();
+        this.pluginSystem.executeHook('history:change', this.getStatus());
+    },
+
+    trim() {
+        while (this.past.length > this.options.depth) {
+            this.past.shift();
+        }
+    },
+
+    // Group every update made while `fn` runs (or until its promise settles)
+    // into a single undo step
+    transaction(fn, label = null) {
+        if (this.transactionDepth === 0) {
+            this.transactionEntry = { label, changes: new Map(), timestamp: Date.now() };
+        }
+        this.transactionDepth++;
+
+        const end = () => {
+            this.transactionDepth--;
+            if (this.transactionDepth > 0) return;
+
+            const entry = this.transactionEntry;
+            this.transactionEntry = null;
+            if (entry.changes.size > 0) {
+                this.push(entry);
+            }
+        };
+
+        let result;
+        try {
+            result = fn();
+        } catch (error) {
+            end();
+            throw error;
+        }
+
+        if (result && typeof result.then === 'function') {
+            return result.finally(end);
+        }
+
+        end();
+        return result;
+    },
+
+    undo() {
+        const entry = this.past.pop();
+        if (!entry) return false;
+
+        this.apply(entry, 'before');
+        this.future.push(entry);
+        this.pluginSystem.executeHook('history:undo', { label: entry.label, keys: [...entry.changes.keys()] });
+        this.pluginSystem.executeHook('history:change', this.getStatus());
+        return true;
+    },
+
+    redo() {
+        const entry = this.future.pop();
+        if (!entry) return false;
+
+        this.apply(entry, 'after');
+        this.past.push(entry);
+        this.pluginSystem.executeHook('history:redo', { label: entry.label, keys: [...entry.changes.keys()] });
+        this.pluginSystem.executeHook('history:change', this.getStatus());
+        return true;
+    },
+
+    apply(entry, side) {
+        this.restoring = true;
+        try {
+            entry.changes.forEach((change, stateKey) => {
+                this.vani.restoreState(stateKey, change[side]);
+            });
+        } finally {
+            this.restoring = false;
+        }
+    },
+
+    // State that no longer exists can't be restored
+    forget(stateKey) {
+        const prune = entries => entries.filter(entry => {
+            entry.changes.delete(stateKey);
+            return entry.changes.size > 0;
+        });
+
+        this.past = prune(this.past);
+        this.future = prune(this.future);
+    },
+
+    clear() {
+        this.past = [];
+        this.future = [];
+        this.pluginSystem.executeHook('history:change', this.getStatus());
+    },
+
+    getStatus() {
+        return {
+            canUndo: this.past.length > 0,
+            canRedo: this.future.length > 0,
+            past: this.past.length,
+            future: this.future.length
+        };
+    },
+
+    cleanup() {
+        delete this.vani.history;
+        console.log('✅ History plugin cleaned up');
+    }
+};
+
 // ==================== PLUGIN REGISTRATION ====================
 
 // Initialize plugin system
@@ -1090,19 +1309,26 @@ vaniPluginSystem.register('analytics', analyticsPlugin, {
     autoInit: true
 });
 
+vaniPluginSystem.register('history', historyPlugin, {
+    version: '1.0.0',
+    autoInit: true
+});
+
 vaniPluginSystem.register('devtools', devToolsPlugin, {
     version: '1.0.0',
     dependencies: ['persistence', 'error-tracking'],
     autoInit: import.meta.env.MODE === 'development'
 });
 
-// Initialize all plugins when framework is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
+// Initialize all plugins when framework is ready (browser only)
+if (typeof document !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => {
+            vaniPluginSystem.initializeAll();
+        });
+    } else {
         vaniPluginSystem.initializeAll();
-    });
-} else {
-    vaniPluginSystem.initializeAll();
+    }
 }
 
 // Export for module systems
@@ -1114,7 +1340,8 @@ if (typeof module !== 'undefined' && module.exports) {
         devToolsPlugin,
         errorTrackingPlugin,
         performancePlugin,
-        analyticsPlugin
+        analyticsPlugin,
+        historyPlugin
     };
 }
 
@@ -1127,7 +1354,8 @@ if (typeof window !== 'undefined') {
             devtools: devToolsPlugin,
             errorTracking: errorTrackingPlugin,
             performance: performancePlugin,
-            analytics: analyticsPlugin
+            analytics: analyticsPlugin,
+            history: historyPlugin
         }
     };
 }
@@ -1139,5 +1367,6 @@ export {
     devToolsPlugin,
     errorTrackingPlugin,
     performancePlugin,
-    analyticsPlugin
+    analyticsPlugin,
+    historyPlugin
 };
\ No newline at end of file
@@ -0,0 +1,63 @@
+// prerender.js - Build-time static generation for VaniJS routes
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createServer } from 'vite';
+
+// Vite plugin: after the client bundle is written, load the app in Node,
+// render every prerenderable route and write it to <outDir>/<route>/index.html.
+// The client hydrates that markup instead of rendering from scratch.
+export function vaniPrerender(options = {}) {
+    const { entry = '/app.js', containerId = 'app' } = options;
+    let config;
+
+    return {
+        name: 'vanijs-prerender',
+        apply: 'build',
+
+        configResolved(resolvedConfig) {
+            config = resolvedConfig;
+        },
+
+        async closeBundle() {
+            const outDir = path.resolve(config.root, config.build.outDir);
+            const template = await fs.readFile(path.join(outDir, 'index.html'), 'utf-8');
+            const containerPattern = new RegExp(`<div id="${containerId}"([^>]*)></div>`);
+
+            if (!containerPattern.test(template)) {
+                config.logger.warn(`[vanijs-prerender] #${containerId} not found in index.html, skipping`);
+                return;
+            }
+
+            const server = await createServer({
+                root: config.root,
+                mode: config.mode,
+                // Same config (JSX etc.) as the client; this plugin itself is build-only
+                configFile: config.configFile,
+                logLevel: 'error',
+                appType: 'custom',
+                server: { middlewareMode: true, hmr: false }
+            });
+
+            try {
+                // Loading the entry defines the app's components and routes
+                await server.ssrLoadModule(entry);
+                const { vaniRouter } = await server.ssrLoadModule('/router.js');
+
+                for (const routePath of vaniRouter.getPrerenderPaths()) {
+                    const html = await vaniRouter.renderToString(routePath);
+                    const page = template.replace(containerPattern, (match, attributes) =>
+                        `<div id="${containerId}"${attributes} data-vani-route="${routePath}">${html}</div>`
+                    );
+
+                    const file = path.join(outDir, routePath, 'index.html');
+                    await fs.mkdir(path.dirname(file), { recursive: true });
+                    await fs.writeFile(file, page);
+
+                    config.logger.info(`[vanijs-prerender] ${routePath} -> ${path.relative(config.root, file)}`);
+                }
+            } finally {
+                await server.close();
+            }
+        }
+    };
+}
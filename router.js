@@ -1,38 +1,293 @@
 // router.js - Production Ready Router System for VaniJS
 import { vani } from './vanijs.js';
 
+// Child paths are relative to their parent unless they start with '/';
+// '' is the parent's own path (an index route)
+function joinPaths(parent, child = '') {
+    if (child.startsWith('/')) return child;
+    const joined = `${parent.replace(/\/+$/, '')}/${child}`.replace(/\/+$/, '');
+    return joined || '/';
+}
+
+// '/login?return=%2Fx#top' -> { path: '/login', query: { return: '/x' },
+// search: '?return=%2Fx', hash: 'top' }. Repeated query keys give arrays.
+function parseLocation(fullPath) {
+    let rest = fullPath || '/';
+    let hash = '';
+
+    const hashIndex = rest.indexOf('#');
+    if (hashIndex !== -1) {
+        hash = rest.slice(hashIndex + 1);
+        rest = rest.slice(0, hashIndex);
+    }
+
+    const queryIndex = rest.indexOf('?');
+    const search = queryIndex === -1 ? '' : rest.slice(queryIndex);
+    const path = (queryIndex === -1 ? rest : rest.slice(0, queryIndex)) || '/';
+
+    const query = {};
+    new URLSearchParams(search).forEach((value, key) => {
+        query[key] = key in query ? [].concat(query[key], value) : value;
+    });
+
+    return { path, query, search, hash };
+}
+
+// A param like :id, with an optional (constraint) and ? for optional
+const PARAM_TOKEN = /:(\w+)(\((?:[^()]|\([^()]*\))*\))?(\?)?/g;
+
+// The same, with the text that precedes it in its segment
+const PARAM_WITH_PREFIX = new RegExp(`([^:/]*?)${PARAM_TOKEN.source}`, 'g');
+
+// Constraints that only match digits produce numbers
+const NUMERIC_CONSTRAINT = /^(?:\\d|\[0-9\])(?:[+*]|\{\d+(?:,\d*)?\})?$/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Segment kinds by specificity, for ranking routes that match the same path.
+// `missing` is a route that has no segment at that position: it beats the
+// optional and wildcard segments that would let a longer route match too.
+const SEGMENT_SCORES = {
+    static: 40,
+    mixed: 30,
+    constrained: 25,
+    param: 20,
+    missing: 15,
+    optional: 10,
+    wildcard: 0
+};
+
+// Route path syntax:
+//   /users/:id          a segment, as a string
+//   /users/:id(\d+)     a constrained segment; digit-only constraints give numbers
+//   /settings/:tab?     an optional segment
+//   /dl/:name.:ext?     an optional param within a segment, with the text before it
+//   /files/*rest        the rest of the path, possibly empty ('*' alone is named '*')
+// Returns the pattern, with groups named p0, p1 ..., the param keys in order,
+// a score per segment and the path's shape (the path with param names
+// blanked out: routes with the same shape match the same paths).
+function compilePath(path) {
+    // A bare '*' catches everything, like '/*'
+    if (path === '*') path = '/*';
+
+    const keys = [];
+    const scores = [];
+    const shapes = [];
+    const group = (key, expression) => {
+        keys.push(key);
+        return `(?<p${keys.length - 1}>${expression})`;
+    };
+    const segmentOf = (kind, shape) => {
+        scores.push(SEGMENT_SCORES[kind]);
+        shapes.push(shape);
+    };
+
+    const source = path.split('/').slice(1).map(segment => {
+        if (segment.startsWith('*')) {
+            segmentOf('wildcard', '*');
+            return `(?:/${group({ name: segment.slice(1) || '*', wildcard: true }, '.*')})?`;
+        }
+
+        // A lone param; an optional one takes its leading slash with it
+        const single = segment.match(new RegExp(`^${PARAM_TOKEN.source}$`));
+        if (single && single[3]) {
+            const constraint = single[2] ? single[2].slice(1, -1) : null;
+            const key = { name: single[1], optional: true, numeric: !!constraint && NUMERIC_CONSTRAINT.test(constraint) };
+            segmentOf('optional', `:?${single[2] || ''}`);
+            return `(?:/${group(key, constraint || '[^/]+')})?`;
+        }
+
+        // Params ahead of an optional one match as little as they can, so
+        // /dl/:name.:ext? gives { name: 'a', ext: 'b' } for /dl/a.b
+        const anyOptional = [...segment.matchAll(PARAM_TOKEN)].some(token => token[3]);
+        let pattern = '';
+        let shape = '';
+        let lastIndex = 0;
+        segment.replace(PARAM_TOKEN, (token, name, constrained, optionalMark, offset) => {
+            const constraint = constrained ? constrained.slice(1, -1) : null;
+            const key = { name, numeric: !!constraint && NUMERIC_CONSTRAINT.test(constraint) };
+            const literal = escapeRegExp(segment.slice(lastIndex, offset));
+            if (optionalMark) {
+                key.optional = true;
+                pattern += `(?:${literal}${group(key, constraint || '[^/]+')})?`;
+            } else {
+                pattern += literal + group(key, constraint || (anyOptional ? '[^/]+?' : '[^/]+'));
+            }
+            shape += `${segment.slice(lastIndex, offset)}:${constrained || ''}${optionalMark || ''}`;
+            lastIndex = offset + token.length;
+            return token;
+        });
+        shape += segment.slice(lastIndex);
+
+        if (!single && lastIndex === 0) {
+            segmentOf('static', segment);
+        } else {
+            segmentOf(single ? (single[2] ? 'constrained' : 'param') : 'mixed', shape);
+        }
+        return `/${pattern}${escapeRegExp(segment.slice(lastIndex))}`;
+    }).join('');
+
+    return { pattern: new RegExp(`^${source || '/'}$`), keys, scores, shape: `/${shapes.join('/')}` };
+}
+
+// More specific routes sort first: segment by segment, static beats
+// params beats wildcards. Equal ranks keep definition order.
+function compareRoutes(a, b) {
+    const length = Math.max(a.scores.length, b.scores.length);
+    for (let index = 0; index < length; index++) {
+        const scoreA = a.scores[index] ?? SEGMENT_SCORES.missing;
+        const scoreB = b.scores[index] ?? SEGMENT_SCORES.missing;
+        if (scoreA !== scoreB) return scoreB - scoreA;
+    }
+    return 0;
+}
+
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+// Params of a compiled route for a path, or null if it doesn't match.
+// Absent optional params are left out; an absent wildcard is ''.
+function matchPath(route, path) {
+    const match = path.match(route.pattern);
+    if (!match) return null;
+
+    const params = {};
+    route.keys.forEach((key, index) => {
+        const raw = match.groups[`p${index}`];
+        if (raw === undefined) {
+            if (key.wildcard) params[key.name] = '';
+            return;
+        }
+
+        const value = decodeParam(raw);
+        params[key.name] = key.numeric ? Number(value) : value;
+    });
+    return params;
+}
+
+function pickParams(params, names) {
+    return Object.fromEntries(names.map(name => [name, params[name]]));
+}
+
+function sameParams(a, b) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
 class VaniRouter {
     constructor(vani) {
         this.vani = vani;
         this.routes = {};
+        // Routes sorted by specificity, rebuilt after a route is added
+        this.rankedRoutes = null;
         this.history = [];
         this.currentRoute = null;
         this.previousRoute = null;
         this.routerMiddlewares = [];
         this.params = {};
+        this.query = {};
         this.navigationLock = false;
+        // 'hash' (/#/dashboard) or 'history' (/dashboard, via pushState)
+        this.mode = 'hash';
+        this.base = '';
+
+        // Nested routes: the level elements of the rendered route, and one
+        // signal per outlet depth holding the element that outlet shows
+        this.renderedLevels = [];
+        this.outletSignals = [];
+        this.outletContext = vani.createContext(0);
+
+        const Outlet = () => this.renderOutlet();
+        this.Outlet = Outlet;
+
+        // Shown while a lazy route loads (see loadRoute); counts route
+        // handling so a slow load can tell it has been superseded
+        this.pendingComponent = null;
+        this.routeVersion = 0;
     }
 
-    // Define a route with optional parameters
-    defineRoute(path, component, props = {}, middlewares = []) {
-        const pattern = path.replace(/:(\w+)/g, '(?<$1>[^/]+)');
-        const regex = new RegExp(`^${pattern}$`);
-        
+    // Define a route with optional parameters.
+    // options.prerender: false to skip a static route at build time, or a
+    // list of params objects to prerender a parameterized route
+    // options.children: nested routes, { path, component, props, middlewares,
+    // children, prerender, pending } each, rendered where the parent puts an <Outlet>
+    // options.pending: component shown while a lazy `component` loads
+    // `component` is a registered component name, or a loader such as
+    // () => import('./pages/Reports.js') to split the route into its own chunk
+    defineRoute(path, component, props = {}, middlewares = [], options = {}) {
+        this.addRoute(path, { ...options, component, props, middlewares }, []);
+        return this;
+    }
+
+    // Register a route and its children. `parents` are the levels above it,
+    // outermost first; a parent is matchable on its own unless it has an
+    // index child.
+    addRoute(path, definition, parents) {
+        const { component, props = {}, middlewares = [], children = [], prerender, pending } = definition;
+        const { pattern, keys, scores, shape } = compilePath(path);
+        const level = {
+            path,
+            component,
+            props,
+            middlewares,
+            pending,
+            params: keys.map(key => key.name)
+        };
+        const matched = [...parents, level];
+
+        children.forEach(child => {
+            this.addRoute(joinPaths(path, child.path), { prerender, ...child }, matched);
+        });
+
+        if (children.some(child => joinPaths(path, child.path) === path)) return;
+
+        this.reportConflict(path, shape);
+
         this.routes[path] = {
             originalPath: path,
-            pattern: regex,
+            pattern,
+            keys,
+            scores,
+            shape,
             component,
             props,
             middlewares,
-            params: []
+            params: level.params,
+            prerender,
+            matched
         };
+        this.rankedRoutes = null;
+    }
 
-        const paramMatches = path.match(/:(\w+)/g);
-        if (paramMatches) {
-            this.routes[path].params = paramMatches.map(p => p.substring(1));
-        }
+    // Warn about a path defined twice, or one that can never match because
+    // an earlier route has the same shape (e.g. /users/:userId after /users/:id).
+    // Only identical shapes are reported: routes that merely overlap, such as
+    // /a and /a/:x? or /files/*rest and /files/readme, are left to the ranking.
+    reportConflict(path, shape) {
+        const existing = this.routes[path] ||
+            Object.values(this.routes).find(route => route.shape === shape);
+        if (!existing) return;
 
-        return this;
+        const type = existing.originalPath === path ? 'duplicate' : 'ambiguous';
+        const message = type === 'duplicate'
+            ? `Route "${path}" is defined more than once; the last definition replaces the others`
+            : `Route "${path}" matches the same paths as "${existing.originalPath}", which takes precedence`;
+
+        console.warn(`[VaniRouter] ${message}`);
+
+        if (this.vani.pluginSystem) {
+            this.vani.pluginSystem.executeHook('router:route-conflict', {
+                type,
+                path,
+                existing: existing.originalPath,
+                message
+            });
+        }
     }
 
     // Add global router middleware
@@ -53,9 +308,10 @@ class VaniRouter {
         }
 
         this.navigationLock = true;
+        let announce = false;
 
         try {
-            const { route, params } = this.findMatchingRoute(path);
+            const { route, params, query } = this.findMatchingRoute(path);
             if (!route) {
                 await this.navigate('/404', false, { force: true });
                 return;
@@ -66,6 +322,7 @@ class VaniRouter {
                 from: this.currentRoute,
                 to: path,
                 params,
+                query,
                 vani: this.vani,
                 redirect: (url) => this.navigate(url, false, { force: true }),
                 cancel: () => { throw new Error('Navigation cancelled'); }
@@ -85,14 +342,19 @@ class VaniRouter {
             this.currentRoute = path;
             this.params = params;
 
-            // Update URL without triggering hashchange
-            const hashChangeHandler = this.vani.routerHandlers?.handleRouteChange;
-            if (hashChangeHandler) {
-                window.removeEventListener('hashchange', hashChangeHandler);
-                window.location.hash = path;
-                window.addEventListener('hashchange', hashChangeHandler);
+            if (this.mode === 'history') {
+                window.history[replace ? 'replaceState' : 'pushState']({ path }, '', this.createHref(path));
+                announce = true;
             } else {
-                window.location.hash = path;
+                // Update URL without triggering hashchange
+                const hashChangeHandler = this.vani.routerHandlers?.handleRouteChange;
+                if (hashChangeHandler) {
+                    window.removeEventListener('hashchange', hashChangeHandler);
+                    window.location.hash = path;
+                    window.addEventListener('hashchange', hashChangeHandler);
+                } else {
+                    window.location.hash = path;
+                }
             }
 
             if (this.vani.pluginSystem) {
@@ -119,29 +381,57 @@ class VaniRouter {
         } finally {
             this.navigationLock = false;
         }
+
+        // History mode: pushState fires no event, so announce the change the
+        // way the browser does for back/forward. Only now that the lock is
+        // released, so route middlewares can redirect.
+        if (announce) {
+            window.dispatchEvent(new PopStateEvent('popstate', { state: { path } }));
+        }
     }
 
-    // Find matching route for a given path
-    findMatchingRoute(path) {
+    // Find matching route for a given path; a query string and fragment
+    // are split off and returned parsed. The most specific route wins
+    // (see compareRoutes), not the first one defined.
+    findMatchingRoute(fullPath) {
+        const { path, query, hash } = parseLocation(fullPath);
+
         // Exact match first
-        if (this.routes[path]) {
-            return { route: this.routes[path], params: {} };
+        const exact = this.routes[path];
+        if (exact && exact.keys.length === 0) {
+            return { route: exact, params: {}, query, hash };
         }
 
-        // Parameterized match
-        for (const [routePath, route] of Object.entries(this.routes)) {
-            const match = path.match(route.pattern);
-            if (match) {
-                const params = {};
-                route.params.forEach(param => {
-                    params[param] = match.groups[param];
-                });
+        if (!this.rankedRoutes) {
+            this.rankedRoutes = Object.values(this.routes).sort(compareRoutes);
+        }
 
-                return { route, params };
+        // Parameterized match
+        for (const route of this.rankedRoutes) {
+            const params = matchPath(route, path);
+            if (params) {
+                return { route, params, query, hash };
             }
         }
 
-        return { route: null, params: {} };
+        return { route: null, params: {}, query, hash };
+    }
+
+    // Resolve a path without navigating or reading window.location:
+    // { route, matched, path, params, query, hash }, or null if no route
+    // matches; `matched` lists the route paths of each nested level
+    match(fullPath) {
+        const { route, params, query, hash } = this.findMatchingRoute(fullPath);
+        if (!route) return null;
+
+        return {
+            route: route.originalPath,
+            matched: route.matched.map(level => level.path),
+            path: parseLocation(fullPath).path,
+            params,
+            query,
+            hash
+        };
     }
 
     // Go back in history
@@ -165,57 +455,154 @@ class VaniRouter {
         return { ...this.params };
     }
 
-    // Generate URL from route name and parameters
+    // Get the current query string as an object
+    getQuery() {
+        return { ...this.query };
+    }
+
+    // Generate URL from route name and parameters. Optional params and
+    // wildcards without a value are left out.
     generatePath(routePath, params = {}) {
-        let generatedPath = routePath;
-        
-        Object.keys(params).forEach(key => {
-            generatedPath = generatedPath.replace(`:${key}`, params[key]);
+        const segments = (routePath === '*' ? '/*' : routePath).split('/').map(segment => {
+            if (segment.startsWith('*')) {
+                const value = params[segment.slice(1) || '*'];
+                return value == null ? '' : String(value);
+            }
+
+            // A missing optional param drops the text before it too (the '.'
+            // of /dl/:name.:ext?)
+            return segment.replace(PARAM_WITH_PREFIX, (token, prefix, name, constraint, optional) => {
+                if (params[name] == null) return optional ? '' : token;
+                return prefix + String(params[name]);
+            });
         });
 
-        return generatedPath;
+        return segments.filter((segment, index) => index === 0 || segment).join('/') || '/';
     }
 
-    // Initialize router
-    init(containerId) {
-        this.vani.initRouter = (containerId) => this._initRouter(containerId);
+    // Current route path (with its query and fragment) from the URL
+    getCurrentPath() {
+        if (this.mode !== 'history') {
+            return window.location.hash.replace('#', '');
+        }
+
+        const { pathname, search, hash } = window.location;
+        if (this.base && pathname !== this.base && !pathname.startsWith(`${this.base}/`)) {
+            return '';
+        }
+        return (pathname.slice(this.base.length) || '/') + search + hash;
+    }
+
+    // URL for a route path in the current mode
+    createHref(path) {
+        return this.mode === 'history' ? `${this.base}${path}` : `#${path}`;
+    }
+
+    // Initialize router.
+    // options.mode: 'hash' (default) or 'history'
+    // options.base: path the app is served under in history mode, e.g. '/admin'
+    // options.pending: default component shown while a lazy route loads
+    init(containerId, options = {}) {
+        this.vani.initRouter = (containerId, options) => this._initRouter(containerId, options);
         this.vani.navigate = (path, replace) => this.navigate(path, replace);
-        this.vani.defineRoute = (path, component, props, middlewares) => 
-            this.defineRoute(path, component, props, middlewares);
+        this.vani.defineRoute = (path, component, props, middlewares, options) => 
+            this.defineRoute(path, component, props, middlewares, options);
         
-        return this._initRouter(containerId);
+        return this._initRouter(containerId, options);
     }
 
     // Internal router initialization
-    _initRouter(containerId) {
+    _initRouter(containerId, options = {}) {
         const container = document.getElementById(containerId);
         if (!container) {
             console.error(`Container #${containerId} not found`);
             return this;
         }
 
+        this.mode = options.mode === 'history' ? 'history' : 'hash';
+        this.pendingComponent = options.pending || null;
+        this.base = (options.base || '').replace(/\/+$/, '');
+        if (this.base && !this.base.startsWith('/')) {
+            this.base = `/${this.base}`;
+        }
+
         this.vani.vdom.rootElement = container;
         
         const handleRouteChange = () => this._handleRoute(container);
-        window.addEventListener('hashchange', handleRouteChange);
+        const handleLinkClick = (event) => this._handleLinkClick(event);
+
+        if (this.mode === 'history') {
+            window.addEventListener('popstate', handleRouteChange);
+            // On window, so component onClick handlers (delegated from the
+            // document) run first and can preventDefault() a link
+            window.addEventListener('click', handleLinkClick);
+        } else {
+            window.addEventListener('hashchange', handleRouteChange);
+        }
         window.addEventListener('load', handleRouteChange);
         
-        this.vani.routerHandlers = { handleRouteChange };
+        this.vani.routerHandlers = { handleRouteChange, handleLinkClick };
 
         if (this.vani.pluginSystem) {
-            this.vani.pluginSystem.executeHook('router:init', { containerId });
+            this.vani.pluginSystem.executeHook('router:init', { containerId, mode: this.mode, base: this.base });
         }
 
         return this;
     }
 
+    // History mode: plain <a href="/dashboard"> links navigate in place.
+    // Left to the browser: modified clicks, other targets, downloads,
+    // rel="external", other origins, paths outside `base` and paths no
+    // route matches (e.g. static files).
+    _handleLinkClick(event) {
+        if (event.defaultPrevented || event.button !== 0 ||
+            event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+            return;
+        }
+
+        const link = (event.composedPath ? event.composedPath() : [event.target])
+            .find(node => node.localName === 'a' && node.hasAttribute('href'));
+
+        if (!link || (link.target && link.target !== '_self') ||
+            link.hasAttribute('download') || link.relList.contains('external')) {
+            return;
+        }
+
+        const url = new URL(link.href, window.location.href);
+        if (url.origin !== window.location.origin) return;
+
+        // Same-page anchors (#section) keep their default scrolling
+        if (url.hash && url.pathname === window.location.pathname && url.search === window.location.search) {
+            return;
+        }
+
+        const { pathname } = url;
+        if (this.base && pathname !== this.base && !pathname.startsWith(`${this.base}/`)) return;
+
+        const path = (pathname.slice(this.base.length) || '/') + url.search + url.hash;
+        if (!this.findMatchingRoute(path).route) return;
+
+        event.preventDefault();
+        this.navigate(path);
+    }
+
     // Internal route handler with comprehensive plugin integration
     async _handleRoute(container) {
         const startTime = performance.now();
-        const path = window.location.hash.replace('#', '') || '/';
+        const version = ++this.routeVersion;
+
+        // A prerendered page names its route, since in hash mode its URL
+        // carries no hash
+        const prerenderedRoute = container.dataset.vaniRoute;
+        delete container.dataset.vaniRoute;
+
+        // `path` is matched against the routes; `fullPath` keeps the query
+        // string and fragment
+        const fullPath = this.getCurrentPath() || prerenderedRoute || '/';
+        const { path, query, hash } = parseLocation(fullPath);
         
         if (this.vani.pluginSystem) {
-            await this.vani.pluginSystem.executeHook('router:match-start', { path });
+            await this.vani.pluginSystem.executeHook('router:match-start', { path, query });
         }
 
         const { route, params } = this.findMatchingRoute(path);
@@ -224,7 +611,8 @@ class VaniRouter {
             await this.vani.pluginSystem.executeHook('router:match-complete', {
                 path,
                 matchedRoute: route ? route.originalPath : null,
-                params
+                params,
+                query
             });
         }
 
@@ -232,6 +620,8 @@ class VaniRouter {
         if (!route) {
             const notFoundContext = { 
                 path, 
+                fullPath,
+                query,
                 vani: this.vani,
                 redirect: (url) => this.navigate(url)
             };
@@ -249,6 +639,7 @@ class VaniRouter {
             } else {
                 container.innerHTML = '<h2>404 - Page Not Found</h2>';
             }
+            this.renderedLevels = [];
 
             if (this.vani.pluginSystem) {
                 await this.vani.pluginSystem.executeHook('router:not-found-rendered', {
@@ -261,8 +652,11 @@ class VaniRouter {
 
         const routeContext = { 
             path, 
+            fullPath,
             route: route.originalPath,
             params,
+            query,
+            hash,
             vani: this.vani,
             redirect: (url) => this.navigate(url),
             cancel: () => { throw new Error('Navigation cancelled by middleware'); },
@@ -274,8 +668,8 @@ class VaniRouter {
         }
 
         try {
-            // Run route-specific middlewares
-            for (const middleware of route.middlewares) {
+            // Run route-specific middlewares, a parent's before its children's
+            for (const middleware of route.matched.flatMap(level => level.middlewares)) {
                 if (this.vani.pluginSystem) {
                     await this.vani.pluginSystem.executeHook('router:middleware-before', {
                         middleware,
@@ -319,12 +713,30 @@ class VaniRouter {
                 });
             }
 
-            const element = await this.vani.renderComponent(route.component, { 
-                ...route.props, 
-                params,
-                route: route.originalPath,
-                path
-            });
+            // Lazy levels load on first visit. Meanwhile the pending component
+            // renders in place of the first one still loading (not over
+            // prerendered markup, which already shows the page).
+            const pendingDepth = route.matched.findIndex(level => !this.isLoaded(level));
+            if (pendingDepth !== -1) {
+                const loading = this.loadRoute(route);
+                const pending = route.matched[pendingDepth].pending || this.pendingComponent;
+
+                if (pending && prerenderedRoute !== path) {
+                    const pendingLevel = { ...route.matched[pendingDepth], component: pending, props: {} };
+                    const pendingLevels = await this.composeRoute(
+                        [...route.matched.slice(0, pendingDepth), pendingLevel], params, fullPath
+                    );
+                    this.renderLevels(pendingLevels, container);
+                }
+
+                await loading;
+
+                // Navigated elsewhere while loading
+                if (version !== this.routeVersion) return;
+            }
+
+            const levels = await this.composeRoute(route.matched, params, fullPath);
+            const element = levels[0].element;
             
             if (this.vani.pluginSystem) {
                 await this.vani.pluginSystem.executeHook('router:before-dom-update', {
@@ -334,10 +746,11 @@ class VaniRouter {
                 });
             }
 
-            this.vani.render(element, container);
+            this.renderLevels(levels, container, prerenderedRoute === path && !this.vani.vdom.currentTree);
             
-            this.currentRoute = path;
+            this.currentRoute = fullPath;
             this.params = params;
+            this.query = query;
 
             const duration = performance.now() - startTime;
             
@@ -353,16 +766,21 @@ class VaniRouter {
             if (this.vani.pluginSystem) {
                 await this.vani.pluginSystem.executeHook('route:change', {
                     from: this.previousRoute,
-                    to: path,
+                    to: fullPath,
                     params,
+                    query,
                     duration
                 });
             }
 
-            this.previousRoute = path;
+            this.previousRoute = fullPath;
 
         } catch (error) {
+            // A middleware that redirected has already started the next route
+            if (version !== this.routeVersion) return;
+
             console.error('Route handling error:', error);
+            this.renderedLevels = [];
             
             if (this.vani.pluginSystem) {
                 await this.vani.pluginSystem.executeHook('router:error', {
@@ -392,6 +810,163 @@ class VaniRouter {
         }
     }
 
+    // Paths to render at build time: static routes unless they opt out,
+    // plus parameterized routes for each params object they list
+    getPrerenderPaths() {
+        return Object.values(this.routes).flatMap(route => {
+            if (Array.isArray(route.prerender)) {
+                return route.prerender.map(params => this.generatePath(route.originalPath, params));
+            }
+
+            if (route.prerender === false || route.params.length > 0) {
+                return [];
+            }
+
+            return [route.originalPath];
+        });
+    }
+
+    // Render a route to HTML without a DOM. Middlewares are skipped: they
+    // depend on the visitor, who is unknown at build time.
+    async renderToString(path) {
+        const { route, params } = this.findMatchingRoute(path);
+        if (!route) {
+            throw new Error(`No route matches "${path}"`);
+        }
+
+        await this.loadRoute(route);
+        const levels = await this.composeRoute(route.matched, params, path, { reuse: false });
+        return this.vani.renderToString(levels[0].element);
+    }
+
+    // Nested routes: one element per level of the matched route, outermost
+    // first. Parent levels get their own params and `route`; the innermost
+    // level also gets `path` and `query`, like a flat route. A level that is
+    // unchanged since the last render (same route, same params) keeps its
+    // element, which the renderer skips, so only the changed levels re-render.
+    async composeRoute(matched, params, fullPath, { reuse = true } = {}) {
+        const { path, query, search } = parseLocation(fullPath);
+        const previous = this.renderedLevels;
+        let reusing = reuse && previous.length > 0 && this.vani.vdom.currentTree === previous[0].element;
+
+        const levels = [];
+        for (const [depth, level] of matched.entries()) {
+            const levelParams = pickParams(params, level.params);
+            const leafPath = depth === matched.length - 1 ? path + search : null;
+            const old = previous[depth];
+
+            reusing = reusing && !!old && old.level === level && old.leafPath === leafPath &&
+                sameParams(old.params, levelParams);
+
+            const element = reusing ? old.element : await this.vani.renderComponent(this.componentOf(level), {
+                ...level.props,
+                params: levelParams,
+                route: level.path,
+                ...(leafPath !== null ? { path, query } : {})
+            });
+
+            levels.push({ level, params: levelParams, leafPath, element });
+        }
+
+        // Outlet n shows level n; deeper outlets show nothing
+        const depthCount = Math.max(levels.length, this.outletSignals.length);
+        for (let depth = 1; depth < depthCount; depth++) {
+            this.getOutletSignal(depth).value = levels[depth] ? levels[depth].element : null;
+        }
+
+        return levels;
+    }
+
+    // Render composed levels; outlets whose level changed re-render now,
+    // not on the next tick
+    renderLevels(levels, container, hydrate = false) {
+        if (hydrate) {
+            this.vani.hydrate(levels[0].element, container);
+        } else {
+            this.vani.render(levels[0].element, container);
+        }
+
+        if (this.vani.scheduler.pending) {
+            this.vani.flushUpdates();
+        }
+        this.renderedLevels = levels;
+    }
+
+    // Lazy routes: a loader's module default-exports a registered component
+    // name, or a component function (as passed to defineComponent) that is
+    // registered here. The result is cached on the level; a failed load is
+    // forgotten so the next navigation retries it.
+    isLoaded(level) {
+        return typeof level.component !== 'function' || !!level.resolved;
+    }
+
+    componentOf(level) {
+        return typeof level.component === 'function' ? level.resolved : level.component;
+    }
+
+    loadRoute(route) {
+        return Promise.all(route.matched
+            .filter(level => !this.isLoaded(level))
+            .map(level => this.loadLevel(level)));
+    }
+
+    loadLevel(level) {
+        if (!level.loading) {
+            level.loading = Promise.resolve()
+                .then(() => level.component())
+                .then(module => {
+                    const exported = module && 'default' in module ? module.default : module;
+
+                    if (typeof exported === 'function') {
+                        // `export default () => ...` is named 'default': anonymous
+                        // and clashing components are named after their route
+                        const named = exported.name && exported.name !== 'default';
+                        const taken = this.vani.components[exported.name];
+                        const name = named && (!taken || taken === exported)
+                            ? exported.name
+                            : `Route(${level.path})`;
+                        this.vani.defineComponent(name, exported);
+                        level.resolved = name;
+                    } else if (typeof exported === 'string' && this.vani.components[exported]) {
+                        level.resolved = exported;
+                    } else {
+                        throw new Error(`Lazy route "${level.path}" did not load a component`);
+                    }
+
+                    if (this.vani.pluginSystem) {
+                        this.vani.pluginSystem.executeHook('router:route-loaded', {
+                            route: level.path,
+                            component: level.resolved
+                        });
+                    }
+                    return level.resolved;
+                })
+                .catch(error => {
+                    level.loading = null;
+                    throw error;
+                });
+        }
+        return level.loading;
+    }
+
+    getOutletSignal(depth) {
+        if (!this.outletSignals[depth]) {
+            this.outletSignals[depth] = this.vani.signal(null);
+        }
+        return this.outletSignals[depth];
+    }
+
+    // Body of the Outlet component: renders the next level below the
+    // nearest enclosing Outlet (or below the top-level route)
+    renderOutlet() {
+        const depth = this.vani.useContext(this.outletContext) + 1;
+        const element = this.getOutletSignal(depth).value;
+
+        return element
+            ? this.vani.createElement(this.outletContext.Provider, { value: depth }, element)
+            : null;
+    }
+
     // Get navigation history
     getHistory() {
         return [...this.history];
@@ -425,8 +1000,11 @@ class VaniRouter {
     // Destroy router
     destroy() {
         if (this.vani.routerHandlers) {
-            window.removeEventListener('hashchange', this.vani.routerHandlers.handleRouteChange);
-            window.removeEventListener('load', this.vani.routerHandlers.handleRouteChange);
+            const { handleRouteChange, handleLinkClick } = this.vani.routerHandlers;
+            window.removeEventListener('hashchange', handleRouteChange);
+            window.removeEventListener('popstate', handleRouteChange);
+            window.removeEventListener('load', handleRouteChange);
+            window.removeEventListener('click', handleLinkClick);
         }
         
         if (this.vani.pluginSystem) {
@@ -441,5 +1019,9 @@ class VaniRouter {
 const vaniRouter = new VaniRouter(vani);
 vani.router = vaniRouter;
 
-export { VaniRouter, vaniRouter };
+// Placeholder for the matched child route inside a layout component
+const Outlet = vaniRouter.Outlet;
+vani.Outlet = Outlet;
+
+export { VaniRouter, vaniRouter, Outlet };
 export default vaniRouter;
\ No newline at end of file
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { vani } from './vanijs.js';
+import { VaniRouter } from './router.js';
+
+// ==================== ROUTE MATCHING ====================
+const createRouter = () => {
+    const router = new VaniRouter(vani);
+    router.vani = { ...vani, pluginSystem: null };
+    return router;
+};
+
+test('an optional param in a mixed segment may be left out', () => {
+    const router = createRouter()
+        .defineRoute('/dl/:name.:ext?', 'Download')
+        .defineRoute('*', 'NotFound');
+
+    assert.equal(router.match('/dl/report').route, '/dl/:name.:ext?');
+    assert.deepEqual(router.match('/dl/report').params, { name: 'report' });
+    assert.deepEqual(router.match('/dl/report.pdf').params, { name: 'report', ext: 'pdf' });
+
+    assert.equal(router.generatePath('/dl/:name.:ext?', { name: 'report' }), '/dl/report');
+    assert.equal(router.generatePath('/dl/:name.:ext?', { name: 'report', ext: 'pdf' }), '/dl/report.pdf');
+});
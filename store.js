@@ -0,0 +1,211 @@
+// store.js - Global stores with actions, getters and selector subscriptions
+import { vani } from './vanijs.js';
+
+// Shallow equality, so selectors may return fresh objects/arrays of the same values
+function shallowEqual(a, b) {
+    if (Object.is(a, b)) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+        return false;
+    }
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length &&
+        keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+}
+
+class VaniStore {
+    constructor(vani, name, definition = {}) {
+        const { state = {}, actions = {}, getters = {}, persist = false, history = false } = definition;
+
+        this.vani = vani;
+        this.name = name;
+        this.listeners = new Set();
+
+        // State lives in vani.state like component state; `_persist` keys are
+        // saved by the persistence plugin
+        this.stateKey = persist ? `${name}_persist` : `store_${name}`;
+
+        if (!(this.stateKey in vani.state)) {
+            vani.state[this.stateKey] = typeof state === 'function' ? state() : state;
+
+            if (vani.pluginSystem) {
+                vani.pluginSystem.executeHook('state:create', this.stateKey, vani.state[this.stateKey]);
+            }
+        }
+
+        // Opt in to undo/redo (see the history plugin)
+        if (history) {
+            vani.historyKeys.add(this.stateKey);
+        }
+
+        // Getters are derived on access: getter(state, getters)
+        this.getters = {};
+        Object.entries(getters).forEach(([getterName, getter]) => {
+            Object.defineProperty(this.getters, getterName, {
+                get: () => getter(this.getState(), this.getters),
+                enumerable: true
+            });
+        });
+
+        // Actions receive the store first: action(store, ...args)
+        this.actions = {};
+        Object.entries(actions).forEach(([actionName, action]) => {
+            this.actions[actionName] = (...args) => this.runAction(actionName, action, args);
+        });
+    }
+
+    get state() {
+        return this.getState();
+    }
+
+    getState() {
+        return this.vani.state[this.stateKey];
+    }
+
+    // Object state merges; a function receives the current state
+    setState(update) {
+        const oldState = this.getState();
+        const newState = typeof update === 'function'
+            ? update(oldState)
+            : { ...oldState, ...update };
+
+        if (shallowEqual(oldState, newState)) return;
+
+        this.vani.state[this.stateKey] = newState;
+
+        if (this.vani.pluginSystem) {
+            this.vani.pluginSystem.executeHook('state:update', this.stateKey, oldState, newState);
+        }
+
+        Object.values(this.vani.plugins).forEach(plugin => {
+            if (plugin.onStateUpdate) {
+                plugin.onStateUpdate(this.stateKey, oldState, newState);
+            }
+        });
+
+        this.notify(newState, oldState);
+    }
+
+    dispatch(actionName, ...args) {
+        const action = this.actions[actionName];
+        if (!action) {
+            throw new Error(`Store "${this.name}" has no action "${actionName}"`);
+        }
+        return action(...args);
+    }
+
+    runAction(actionName, action, args) {
+        const startTime = performance.now();
+        const prevState = this.getState();
+
+        const report = (error) => {
+            if (!this.vani.pluginSystem) return;
+
+            this.vani.pluginSystem.executeHook(error ? 'store:action-error' : 'store:action', {
+                store: this.name,
+                action: actionName,
+                args,
+                prevState,
+                nextState: this.getState(),
+                duration: performance.now() - startTime,
+                ...(error ? { error } : {})
+            });
+        };
+
+        let result;
+        try {
+            result = action(this, ...args);
+        } catch (error) {
+            report(error);
+            throw error;
+        }
+
+        // Async actions are reported once they settle
+        if (result && typeof result.then === 'function') {
+            return result.then(
+                value => { report(); return value; },
+                error => { report(error); throw error; }
+            );
+        }
+
+        report();
+        return result;
+    }
+
+    // listener(newState, oldState); returns an unsubscribe function
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(newState, oldState) {
+        Array.from(this.listeners).forEach(listener => {
+            try {
+                listener(newState, oldState);
+            } catch (error) {
+                console.error(`Store "${this.name}" listener error:`, error);
+            }
+        });
+    }
+
+    // vani.state was replaced from outside (e.g. persisted state loaded)
+    sync(oldState) {
+        const newState = this.getState();
+        if (!Object.is(newState, oldState)) {
+            this.notify(newState, oldState);
+        }
+    }
+}
+
+let storeCounter = 0;
+
+// Create (or replace) a named store; `name` defaults to a generated one
+function createStore(definition = {}) {
+    const name = definition.name || `store${++storeCounter}`;
+
+    if (vani.stores.has(name)) {
+        console.warn(`Store "${name}" is already defined, replacing it`);
+    }
+
+    const store = new VaniStore(vani, name, definition);
+    vani.stores.set(name, store);
+
+    if (vani.pluginSystem) {
+        vani.pluginSystem.executeHook('store:create', { name, state: store.getState() });
+    }
+
+    return store;
+}
+
+// Subscribe the current component to a slice of a store. It re-renders only
+// when the selected value changes (shallowly, unless `equals` says otherwise).
+function useStore(store, selector = state => state, equals = shallowEqual) {
+    const { instance, index } = vani.nextHook('useStore');
+    let hook = instance.hooks[index];
+
+    if (!hook) {
+        hook = { type: 'subscription' };
+        hook.unsubscribe = store.subscribe(state => {
+            const selected = hook.selector(state);
+            if (!hook.equals(hook.selected, selected)) {
+                hook.selected = selected;
+                vani.scheduleUpdate(instance);
+            }
+        });
+        instance.hooks[index] = hook;
+    }
+
+    // Keep the latest selector so it sees current props
+    hook.selector = selector;
+    hook.equals = equals;
+    hook.selected = selector(store.getState());
+    return hook.selected;
+}
+
+vani.stores = new Map();
+vani.createStore = createStore;
+vani.useStore = useStore;
+
+export { VaniStore, createStore, useStore, shallowEqual };
+export default createStore;
@@ -121,7 +121,7 @@ self.addEventListener('fetch', (event) => {
         event.respondWith(handleApiRequest(request));
     } else if (isStaticAsset(request)) {
         event.respondWith(handleStaticRequest(request));
-    } else if (request.headers.get('Accept').includes('text/html')) {
+    } else if (request.mode === 'navigate' || request.headers.get('Accept')?.includes('text/html')) {
         event.respondWith(handleHtmlRequest(request));
     } else {
         event.respondWith(handleDefaultRequest(request));
@@ -199,21 +199,41 @@ async function handleHtmlRequest(request) {
     try {
         // Try network first for HTML
         const networkResponse = await fetch(request);
-        const cache = await caches.open(DYNAMIC_CACHE);
-        
+
+        // History-mode routes (/dashboard) only exist in the client router;
+        // a server without a rewrite rule answers 404, so serve the app shell
+        if (networkResponse.status === 404 && request.mode === 'navigate') {
+            const shell = await caches.match('/index.html');
+            if (shell) {
+                return shell;
+            }
+        }
+
         // Cache the response
-        cache.put(request, networkResponse.clone());
+        if (networkResponse.ok) {
+            const cache = await caches.open(DYNAMIC_CACHE);
+            cache.put(request, networkResponse.clone());
+        }
         
         return networkResponse;
     } catch (error) {
-        // Fallback to cache
+        // Fallback to cache (prerendered pages visited before)
         const cachedResponse = await caches.match(request);
         if (cachedResponse) {
             return cachedResponse;
         }
+
+        // SPA fallback: any other route renders from the app shell
+        if (request.mode === 'navigate') {
+            const shell = await caches.match('/index.html');
+            if (shell) {
+                return shell;
+            }
+        }
         
         // Fallback to offline page
-        return caches.match('/offline.html');
+        return caches.match('/offline.html')
+            .then(response => response || createOfflinePage());
     }
 }
 
@@ -1,4 +1,692 @@
 // vanijs.js - Production Ready VaniJS Framework
+
+// ==================== VIRTUAL DOM HELPERS ====================
+
+// Tag for vnodes that render their children without a wrapper element
+const Fragment = Symbol.for('vanijs.fragment');
+
+// Tag for vnodes whose content is mounted into another element (createPortal)
+const Portal = Symbol.for('vanijs.portal');
+
+function createTextVNode(text) {
+    return {
+        tag: null,
+        props: {},
+        children: [],
+        key: undefined,
+        type: 'text',
+        text: String(text)
+    };
+}
+
+// An empty fragment keeps a blank text node so it still has a position in the DOM
+function createFragmentVNode(children, key) {
+    return {
+        tag: Fragment,
+        props: key != null ? { key } : {},
+        children: children.length ? children : [createTextVNode('')],
+        key,
+        type: 'fragment'
+    };
+}
+
+function createPortalVNode(children, target, key) {
+    return {
+        tag: Portal,
+        props: key != null ? { key } : {},
+        children: [normalizeVNode(children)],
+        key,
+        type: 'portal',
+        target
+    };
+}
+
+// Strings and numbers become text vnodes, arrays become fragments and
+// empty values render as empty text
+function normalizeVNode(vnode) {
+    if (vnode == null || typeof vnode === 'boolean') {
+        return createTextVNode('');
+    }
+    if (typeof vnode === 'string' || typeof vnode === 'number') {
+        return createTextVNode(vnode);
+    }
+    if (Array.isArray(vnode)) {
+        return createFragmentVNode(normalizeChildren(vnode));
+    }
+    // A signal child is a text node that follows the signal (see bindText)
+    if (isSignal(vnode)) {
+        const textVNode = createTextVNode(toText(vnode.peek()));
+        textVNode.signal = vnode;
+        return textVNode;
+    }
+    return vnode;
+}
+
+function normalizeChildren(children) {
+    return children.flat(Infinity)
+        .filter(child => child != null && child !== false && child !== true)
+        .map(normalizeVNode);
+}
+
+// Object state merges like before; anything else is replaced
+function mergeState(oldState, newState) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    return isObject(oldState) && isObject(newState) ? { ...oldState, ...newState } : newState;
+}
+
+function isThenable(value) {
+    return value != null && typeof value.then === 'function';
+}
+
+function shallowEqualProps(a, b) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => Object.is(a[key], b[key]));
+}
+
+// Hook dependency arrays: a missing array always counts as changed
+function depsChanged(oldDeps, newDeps) {
+    if (!oldDeps || !newDeps || oldDeps.length !== newDeps.length) {
+        return true;
+    }
+    return newDeps.some((dep, index) => !Object.is(dep, oldDeps[index]));
+}
+
+// `ref` props accept callback refs or `{ current }` objects from useRef
+function setRef(ref, value) {
+    if (typeof ref === 'function') {
+        ref(value);
+    } else if (ref && typeof ref === 'object') {
+        ref.current = value;
+    }
+}
+
+// Indexes of `sources` that form the longest increasing run (ignoring -1),
+// i.e. the children that are already in the right order and can stay put
+function longestIncreasingSubsequence(sources) {
+    const predecessors = new Array(sources.length);
+    const tails = [];
+
+    sources.forEach((value, index) => {
+        if (value === -1) return;
+
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (sources[tails[mid]] < value) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        predecessors[index] = low > 0 ? tails[low - 1] : -1;
+        tails[low] = index;
+    });
+
+    const result = new Set();
+    let current = tails.length ? tails[tails.length - 1] : -1;
+    while (current !== -1) {
+        result.add(current);
+        current = predecessors[current];
+    }
+    return result;
+}
+
+// Moving a node blurs it in most browsers, so remember focus and caret
+// before reordering children and put them back afterwards
+function captureFocus(parent) {
+    const active = document.activeElement;
+    if (!active || active === document.body || !parent.contains(active)) {
+        return null;
+    }
+
+    const focus = { element: active };
+    try {
+        focus.selectionStart = active.selectionStart;
+        focus.selectionEnd = active.selectionEnd;
+    } catch {
+        // Inputs like checkboxes throw on selection access
+    }
+    return focus;
+}
+
+function restoreFocus(focus) {
+    if (!focus || document.activeElement === focus.element || !focus.element.isConnected) {
+        return;
+    }
+
+    focus.element.focus();
+    if (focus.selectionStart != null && typeof focus.element.setSelectionRange === 'function') {
+        try {
+            focus.element.setSelectionRange(focus.selectionStart, focus.selectionEnd);
+        } catch {
+            // Selection is not supported for every input type
+        }
+    }
+}
+
+// ==================== SIGNAL HELPERS ====================
+
+const SIGNAL = Symbol.for('vanijs.signal');
+
+// The computation (effect, computed or component render) tracking reads
+let currentObserver = null;
+
+function isSignal(value) {
+    return value != null && value[SIGNAL] === true;
+}
+
+function toText(value) {
+    return value == null || typeof value === 'boolean' ? '' : String(value);
+}
+
+// An observer is notified when any signal it read last time changes
+function createObserver(notify) {
+    return { notify, sources: new Set() };
+}
+
+function track(source) {
+    if (!currentObserver) return;
+    source.observers.add(currentObserver);
+    currentObserver.sources.add(source);
+}
+
+function untrack(observer) {
+    observer.sources.forEach(source => source.observers.delete(observer));
+    observer.sources.clear();
+}
+
+// Run `fn` collecting the signals it reads as the observer's new sources
+function runObserved(observer, fn) {
+    untrack(observer);
+    const previousObserver = currentObserver;
+    currentObserver = observer;
+    try {
+        return fn();
+    } finally {
+        currentObserver = previousObserver;
+    }
+}
+
+function notifyObservers(source) {
+    Array.from(source.observers).forEach(observer => observer.notify());
+}
+
+// Call `callback` with the new value each time `source` changes
+function subscribeSignal(source, callback) {
+    const observer = createObserver(() => callback(source.peek()));
+    source.observers.add(observer);
+    observer.sources.add(source);
+    return () => untrack(observer);
+}
+
+function unbindProperties(element) {
+    Object.values(element._vaniBindings || {}).forEach(unbind => unbind());
+    element._vaniBindings = null;
+}
+
+// ==================== DOM PROPERTY HELPERS ====================
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+
+// Props the user can change through the UI
+const LIVE_PROPERTIES = new Set(['value', 'checked', 'selected']);
+
+// DOM properties that are read-only or behave differently from their attribute
+const ATTRIBUTE_ONLY = new Set([
+    'width', 'height', 'href', 'list', 'form', 'tabIndex', 'download', 'rowSpan', 'colSpan', 'role', 'popover'
+]);
+
+// Namespace for new children of an existing DOM node
+function namespaceOf(parent) {
+    const namespace = parent.namespaceURI;
+    if ((namespace === SVG_NAMESPACE || namespace === MATHML_NAMESPACE) && parent.localName !== 'foreignObject') {
+        return namespace;
+    }
+    return null;
+}
+
+// Apply one prop to an element. A signal value binds the prop: it is
+// updated in place whenever the signal changes, until the prop is set to
+// something else or the element is unmounted.
+function setProperty(element, key, value, oldValue) {
+    const bindings = element._vaniBindings;
+    if (bindings && bindings[key]) {
+        bindings[key]();
+        delete bindings[key];
+    }
+
+    let applied = isSignal(oldValue) ? oldValue.peek() : oldValue;
+
+    if (!isSignal(value)) {
+        applyProperty(element, key, value, applied);
+        return;
+    }
+
+    applyProperty(element, key, value.peek(), applied);
+    applied = value.peek();
+
+    element._vaniBindings = element._vaniBindings || {};
+    element._vaniBindings[key] = subscribeSignal(value, next => {
+        applyProperty(element, key, next, applied);
+        applied = next;
+    });
+}
+
+// HTML elements get DOM properties where one exists (value, checked,
+// disabled, ...), everything else is an attribute; `false`/null remove
+// boolean attributes, except aria-* and data-* where "false" is a
+// meaningful value.
+function applyProperty(element, key, value, oldValue) {
+    if (key === 'key' || key === 'children') return;
+
+    if (key === 'ref') {
+        setRef(oldValue, null);
+        setRef(value, element);
+        return;
+    }
+
+    if (parseEventProp(key)) {
+        setEventHandler(element, key, value);
+        return;
+    }
+
+    if (key === 'style') {
+        setStyle(element, value, oldValue);
+        return;
+    }
+
+    const isHTML = !element.namespaceURI || element.namespaceURI === 'http://www.w3.org/1999/xhtml';
+
+    if (key === 'className' || key === 'class') {
+        if (isHTML) {
+            element.className = value ?? '';
+        } else if (value == null) {
+            element.removeAttribute('class');
+        } else {
+            element.setAttribute('class', value);
+        }
+        return;
+    }
+
+    // Custom elements get their own props as properties, unstringified:
+    // objects, arrays and functions always (an element that is not upgraded
+    // yet picks them up when it is), primitives when the element declares
+    // the property. Standard HTMLElement props are handled below as usual.
+    if (isHTML && element.localName.includes('-') && !(key in HTMLElement.prototype) &&
+        (key in element || (value !== null && (typeof value === 'object' || typeof value === 'function')))) {
+        try {
+            element[key] = value;
+            return;
+        } catch {
+            // Read-only property: fall through to the attribute
+        }
+    }
+
+    if (isHTML && key in element && !ATTRIBUTE_ONLY.has(key)) {
+        // A removed reflected prop (maxLength, id, title ...) drops its
+        // attribute; writing '' would leave maxlength="0" or id="". Live
+        // props and ones without an attribute (innerHTML) reset to ''.
+        const attribute = ATTRIBUTE_ALIASES[key] || key;
+        if (value == null && !LIVE_PROPERTIES.has(key) && element.hasAttribute(attribute)) {
+            element.removeAttribute(attribute);
+            return;
+        }
+
+        const nextValue = value ?? '';
+        try {
+            if (element[key] !== nextValue) {
+                element[key] = nextValue;
+            }
+            return;
+        } catch {
+            // Read-only property: fall through to the attribute
+        }
+    }
+
+    if (key.startsWith('xlink:')) {
+        if (value == null || value === false) {
+            element.removeAttributeNS(XLINK_NAMESPACE, key.slice(6));
+        } else {
+            element.setAttributeNS(XLINK_NAMESPACE, key, value);
+        }
+        return;
+    }
+
+    if (value == null || (value === false && !/^(aria|data)-/.test(key))) {
+        element.removeAttribute(key);
+    } else {
+        element.setAttribute(key, value === true ? '' : value);
+    }
+}
+
+// Style accepts a cssText string or an object; keys missing from the new
+// object are cleared instead of lingering from the previous render
+function setStyle(element, value, oldValue) {
+    const { style } = element;
+
+    if (typeof value === 'string') {
+        style.cssText = value;
+        return;
+    }
+
+    if (typeof oldValue === 'string') {
+        style.cssText = '';
+        oldValue = null;
+    }
+
+    if (oldValue) {
+        Object.keys(oldValue).forEach(name => {
+            if (!value || !(name in value)) {
+                setStyleValue(style, name, null);
+            }
+        });
+    }
+
+    if (value) {
+        Object.keys(value).forEach(name => {
+            if (!oldValue || value[name] !== oldValue[name]) {
+                setStyleValue(style, name, value[name]);
+            }
+        });
+    } else {
+        element.removeAttribute('style');
+    }
+}
+
+function setStyleValue(style, name, value) {
+    if (name.startsWith('--')) {
+        style.setProperty(name, value ?? '');
+    } else {
+        style[name] = value ?? '';
+    }
+}
+
+// ==================== EVENT HELPERS ====================
+//
+// Event props map to DOM events as follows:
+//   onClick, onKeyDown, onPointerMove ...  -> lowercased name (click, keydown, pointermove)
+//   onDoubleClick                          -> dblclick (see EVENT_ALIASES)
+//   onClickCapture                         -> click, capture phase
+//   on:my-event / on:my-event:capture      -> the exact event name, for custom events
+// A handler is a function or { handler, passive, capture }.
+//
+// Bubbling events are delegated: one listener per event type on the document
+// walks the target's ancestors (continuing from a portal's logical parent)
+// and calls their handlers with a synthetic event whose currentTarget is the
+// element the handler belongs to. Non-bubbling and custom events get a
+// native listener on the element itself. Shadow roots rendered by custom
+// elements listen too, since events that are not composed never leave them.
+
+const EVENT_ALIASES = {
+    DoubleClick: 'dblclick'
+};
+
+// Events with "Capture" in their own name
+const CAPTURE_NAMED_EVENTS = new Set(['GotPointerCapture', 'LostPointerCapture']);
+
+const NON_BUBBLING_EVENTS = new Set([
+    'focus', 'blur', 'mouseenter', 'mouseleave', 'pointerenter', 'pointerleave',
+    'load', 'error', 'abort', 'scroll', 'scrollend', 'toggle', 'invalid', 'cancel', 'close',
+    'play', 'pause', 'playing', 'ended', 'canplay', 'canplaythrough', 'durationchange',
+    'emptied', 'loadeddata', 'loadedmetadata', 'loadstart', 'progress', 'ratechange',
+    'seeked', 'seeking', 'stalled', 'suspend', 'timeupdate', 'volumechange', 'waiting'
+]);
+
+// { type, capture } for an event prop, or null if `key` is not one
+function parseEventProp(key) {
+    if (key.startsWith('on:')) {
+        const name = key.slice(3);
+        const capture = name.endsWith(':capture');
+        return { type: capture ? name.slice(0, -8) : name, capture, custom: true };
+    }
+
+    if (!/^on[A-Z]/.test(key)) return null;
+
+    let name = key.slice(2);
+    let capture = false;
+    if (name.endsWith('Capture') && !CAPTURE_NAMED_EVENTS.has(name)) {
+        name = name.slice(0, -7);
+        capture = true;
+    }
+
+    return { type: EVENT_ALIASES[name] || name.toLowerCase(), capture, custom: false };
+}
+
+function normalizeHandler(value) {
+    if (typeof value === 'function') return { handler: value, passive: false, capture: false };
+    if (value && typeof value.handler === 'function') {
+        return { handler: value.handler, passive: !!value.passive, capture: !!value.capture };
+    }
+    return null;
+}
+
+// Listeners installed so far, keyed `${type}|${capture}`, and the
+// roots (document, shadow roots) they are installed on: root -> id -> listener
+const delegatedListeners = new Map();
+const delegationRoots = new Map();
+
+function setEventHandler(element, key, value) {
+    const event = parseEventProp(key);
+    const entry = normalizeHandler(value);
+
+    // Replace whatever the prop was bound to before
+    const direct = element._vaniListeners && element._vaniListeners[key];
+    if (direct) {
+        element.removeEventListener(direct.type, direct.listener, direct.options);
+        delete element._vaniListeners[key];
+    }
+    if (element._vaniHandlers) {
+        delete element._vaniHandlers[key];
+    }
+
+    if (!entry) return;
+
+    const capture = event.capture || entry.capture;
+    const delegated = !event.custom && !NON_BUBBLING_EVENTS.has(event.type) && typeof document !== 'undefined';
+
+    if (!delegated) {
+        const options = { capture, passive: entry.passive };
+        const listener = (nativeEvent) => entry.handler.call(element, nativeEvent);
+        element._vaniListeners = element._vaniListeners || {};
+        element._vaniListeners[key] = { type: event.type, listener, options };
+        element.addEventListener(event.type, listener, options);
+        return;
+    }
+
+    element._vaniHandlers = element._vaniHandlers || {};
+    element._vaniHandlers[key] = { type: event.type, capture, passive: entry.passive, handler: entry.handler };
+    ensureDelegatedListener(event.type, capture, entry.passive);
+}
+
+// One delegated walk per type and phase, so handlers run in DOM order. The
+// native listener is passive only while every handler using it is; the first
+// non-passive handler reinstalls it so that preventDefault() works.
+function ensureDelegatedListener(type, capture, passive) {
+    const id = `${type}|${capture}`;
+    const existing = delegatedListeners.get(id);
+    if (existing && (passive || !existing.passive)) return;
+
+    if (existing) {
+        delegationRoots.forEach((listeners, root) => unlistenDelegated(root, id));
+    }
+    delegatedListeners.set(id, { type, capture, passive });
+
+    if (delegationRoots.size === 0) {
+        delegationRoots.set(document, new Map());
+    }
+    delegationRoots.forEach((listeners, root) => listenDelegated(root, id, delegatedListeners.get(id)));
+}
+
+function addDelegationRoot(root) {
+    if (delegationRoots.has(root)) return;
+    if (delegationRoots.size === 0 && root !== document) {
+        delegationRoots.set(document, new Map());
+    }
+
+    delegationRoots.set(root, new Map());
+    delegatedListeners.forEach((listener, id) => listenDelegated(root, id, listener));
+}
+
+// A shadow root whose content was unmounted stops listening, so it can be
+// garbage collected with its element
+function removeDelegationRoot(root) {
+    const listeners = delegationRoots.get(root);
+    if (!listeners || root === document) return;
+
+    listeners.forEach((listener, id) => unlistenDelegated(root, id));
+    delegationRoots.delete(root);
+}
+
+// A composed event reaches both a shadow root and the document; whichever
+// listener sees it first walks the whole path, the other one skips it
+function listenDelegated(root, id, { type, capture, passive }) {
+    const listener = (nativeEvent) => {
+        nativeEvent._vaniDispatched = nativeEvent._vaniDispatched || new Set();
+        if (nativeEvent._vaniDispatched.has(id)) return;
+        nativeEvent._vaniDispatched.add(id);
+
+        dispatchDelegated(nativeEvent, type, capture);
+    };
+
+    delegationRoots.get(root).set(id, listener);
+    root.addEventListener(type, listener, { capture, passive });
+}
+
+function unlistenDelegated(root, id) {
+    const { type, capture } = delegatedListeners.get(id);
+    root.removeEventListener(type, delegationRoots.get(root).get(id), { capture });
+    delegationRoots.get(root).delete(id);
+}
+
+// Target first, then ancestors; portal content continues from its placeholder
+function eventPath(nativeEvent) {
+    const path = [];
+    let node = nativeEvent.composedPath ? nativeEvent.composedPath()[0] : nativeEvent.target;
+
+    while (node && node !== document) {
+        if (node.nodeType === 1) path.push(node);
+        node = node._vaniPortalAnchor ? node._vaniPortalAnchor.parentNode : (node.parentNode || node.host);
+    }
+    return path;
+}
+
+function dispatchDelegated(nativeEvent, type, capture) {
+    const path = eventPath(nativeEvent);
+    const synthetic = createSyntheticEvent(nativeEvent);
+
+    for (const element of capture ? path.reverse() : path) {
+        const handlers = Object.values(element._vaniHandlers || {}).filter(entry =>
+            entry.type === type && entry.capture === capture
+        );
+
+        for (const entry of handlers) {
+            synthetic.currentTarget = element;
+            synthetic.passive = entry.passive;
+            entry.handler.call(element, synthetic);
+            if (synthetic.isImmediatePropagationStopped()) return;
+        }
+
+        if (synthetic.isPropagationStopped()) return;
+    }
+}
+
+// The native event seen through a Proxy, so handlers get their own element
+// as currentTarget and stopPropagation also stops the delegated walk. Like a
+// passive listener, a passive handler cannot preventDefault().
+function createSyntheticEvent(nativeEvent) {
+    const state = { currentTarget: null, passive: false, stopped: false, immediateStopped: false };
+
+    const overrides = {
+        nativeEvent,
+        preventDefault: () => {
+            if (!state.passive) nativeEvent.preventDefault();
+        },
+        stopPropagation: () => {
+            state.stopped = true;
+            nativeEvent.stopPropagation();
+        },
+        stopImmediatePropagation: () => {
+            state.stopped = true;
+            state.immediateStopped = true;
+            nativeEvent.stopImmediatePropagation();
+        },
+        isPropagationStopped: () => state.stopped,
+        isImmediatePropagationStopped: () => state.immediateStopped
+    };
+
+    return new Proxy(nativeEvent, {
+        get(target, prop) {
+            if (prop === 'currentTarget') return state.currentTarget;
+            if (prop === 'passive') return state.passive;
+            if (prop in overrides) return overrides[prop];
+
+            const value = Reflect.get(target, prop, target);
+            return typeof value === 'function' ? value.bind(target) : value;
+        },
+        set(target, prop, value) {
+            if (prop === 'currentTarget' || prop === 'passive') {
+                state[prop] = value;
+            } else {
+                target[prop] = value;
+            }
+            return true;
+        }
+    });
+}
+
+function removeAllListeners(element) {
+    Object.values(element._vaniListeners || {}).forEach(({ type, listener, options }) => {
+        element.removeEventListener(type, listener, options);
+    });
+    element._vaniListeners = null;
+    element._vaniHandlers = null;
+}
+
+// ==================== SERVER RENDERING HELPERS ====================
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// Elements whose text content is not HTML-escaped by the parser
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+const ATTRIBUTE_ALIASES = {
+    className: 'class',
+    htmlFor: 'for',
+    defaultValue: 'value',
+    defaultChecked: 'checked'
+};
+
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[char]));
+}
+
+function styleToString(style) {
+    return Object.keys(style)
+        .filter(name => style[name] != null && style[name] !== '')
+        .map(name => {
+            const property = name.startsWith('--') ? name : name.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+            return `${property}:${style[name]}`;
+        })
+        .join(';');
+}
+
+function describeVNode(vnode) {
+    return vnode.type === 'text' ? `text "${vnode.text}"` : `<${vnode.tag}>`;
+}
+
+function describeNode(node) {
+    if (!node) return 'nothing';
+    return node.nodeType === 3 ? `text "${node.data}"` : `<${node.nodeName.toLowerCase()}>`;
+}
+
 class VaniJS {
     constructor() {
         // Core framework properties
@@ -6,6 +694,20 @@ class VaniJS {
         this.components = {};
         this.state = {};
         this.currentComponent = null;
+        this.currentInstance = null;
+        this.instanceCounter = 0;
+        this.liveInstances = new Map(); // registered component name -> mounted instances
+        this.signalCounter = 0;
+        this.keyedSignals = new Map(); // state key -> signal backed by this.state
+        this.stateOwners = new Map(); // state key -> instances rendering it via useState
+        this.historyKeys = new Set(); // state keys recorded by the history plugin
+        this.pendingEffects = [];
+        this.pendingMounts = [];
+        this.scheduler = {
+            mode: 'microtask', // or 'frame' to render on requestAnimationFrame
+            queue: new Set(),
+            pending: false
+        };
         this.i18n = {};
         this.currentLanguage = 'en';
         this.middlewares = [];
@@ -14,6 +716,9 @@ class VaniJS {
             currentTree: null,
             rootElement: null
         };
+        this.Fragment = Fragment;
+        this.components.ErrorBoundary = ErrorBoundary;
+        this.components.Suspense = Suspense;
         
         // Plugin system integration
         this.pluginSystem = null;
@@ -34,311 +739,1652 @@ class VaniJS {
         };
     }
 
-    // ==================== CORE FRAMEWORK METHODS ====================
+    // ==================== CORE FRAMEWORK METHODS ====================
+
+    // Middleware system
+    use(middleware) {
+        if (typeof middleware === 'function') {
+            this.middlewares.push(middleware);
+        }
+        return this;
+    }
+
+    async runMiddlewares(context) {
+        for (const middleware of this.middlewares) {
+            try {
+                await middleware(context, () => {});
+            } catch (error) {
+                console.error('Middleware error:', error);
+                if (this.pluginSystem) {
+                    this.pluginSystem.executeHook('middleware:error', { error, middleware, context });
+                }
+                break;
+            }
+        }
+    }
+
+    // Plugin system (legacy)
+    registerPlugin(name, plugin) {
+        this.plugins[name] = plugin;
+        if (plugin.init && typeof plugin.init === 'function') {
+            plugin.init(this);
+        }
+        return this;
+    }
+
+    getPlugin(name) {
+        return this.plugins[name];
+    }
+
+    // Virtual DOM system
+    createElement(tag, props = {}, ...children) {
+        if (tag === Fragment) {
+            return createFragmentVNode(normalizeChildren(children), props?.key);
+        }
+
+        return {
+            tag,
+            props: props || {},
+            children: normalizeChildren(children),
+            key: props?.key,
+            type: typeof tag === 'function' || this.components[tag] ? 'component' : 'element'
+        };
+    }
+
+    render(vnode, container) {
+        if (!container) {
+            console.error('Container not provided for render');
+            return;
+        }
+
+        const startTime = performance.now();
+        vnode = normalizeVNode(vnode);
+        
+        const currentTree = this.vdom.currentTree;
+        const currentDOM = currentTree && this.getDOM(currentTree);
+
+        if (currentTree && currentDOM && container.contains(currentDOM)) {
+            this.patch(container, currentTree, vnode);
+        } else {
+            // The previous tree was replaced outside the renderer (e.g. innerHTML)
+            this.unmount(currentTree);
+            container.innerHTML = '';
+            const dom = this.createDOM(vnode);
+            container.appendChild(dom);
+        }
+        
+        this.vdom.currentTree = vnode;
+        this.vdom.rootElement = container;
+        this.flushEffects();
+
+        const renderTime = performance.now() - startTime;
+        if (this.pluginSystem) {
+            this.pluginSystem.executeHook('render:complete', { renderTime, vnode, container });
+        }
+    }
+
+    // `namespace` is inherited from the parent so <svg> and <math> subtrees
+    // are created in their own namespaces
+    createDOM(vnode, namespace = null) {
+        vnode = normalizeVNode(vnode);
+
+        if (vnode.type === 'text') {
+            vnode.dom = document.createTextNode(vnode.text);
+            this.bindText(vnode);
+            return vnode.dom;
+        }
+
+        if (vnode.type === 'fragment') {
+            const fragment = document.createDocumentFragment();
+            vnode.children.forEach(child => {
+                fragment.appendChild(this.createDOM(child, namespace));
+            });
+            return fragment;
+        }
+
+        if (vnode.type === 'portal') {
+            // An empty text node holds the portal's place in the tree
+            vnode.dom = document.createTextNode('');
+            this.mountPortal(vnode);
+            return vnode.dom;
+        }
+
+        if (vnode.type === 'component') {
+            const instance = this.createInstance(vnode);
+            vnode.rendered = this.renderInstance(instance);
+            const dom = this.withInstance(instance, () => this.createDOM(vnode.rendered, namespace));
+            instance.mounted = true;
+            this.pendingMounts.push(instance);
+            return dom;
+        }
+
+        const elementNamespace = vnode.tag === 'svg' ? SVG_NAMESPACE
+            : vnode.tag === 'math' ? MATHML_NAMESPACE
+            : namespace;
+        const element = elementNamespace
+            ? document.createElementNS(elementNamespace, vnode.tag)
+            : document.createElement(vnode.tag);
+        vnode.dom = element;
+
+        // Set properties; `value` waits for the children so a <select> has its options
+        const propKeys = Object.keys(vnode.props).filter(key => vnode.props[key] != null);
+        propKeys.filter(key => key !== 'value').forEach(key => {
+            setProperty(element, key, vnode.props[key], undefined);
+        });
+
+        // Render children (foreignObject switches back to HTML)
+        const childNamespace = vnode.tag === 'foreignObject' ? null : elementNamespace;
+        vnode.children.forEach(child => {
+            element.appendChild(this.createDOM(child, childNamespace));
+        });
+
+        if (propKeys.includes('value')) {
+            setProperty(element, 'value', vnode.props.value, undefined);
+        }
+
+        return element;
+    }
+
+    // First DOM node currently rendered for a vnode (components resolve to
+    // their output, fragments to their first child)
+    getDOM(vnode) {
+        if (vnode.type === 'component') {
+            return vnode.rendered ? this.getDOM(vnode.rendered) : null;
+        }
+        if (vnode.type === 'fragment') {
+            return this.getDOM(vnode.children[0]);
+        }
+        return vnode.dom || null;
+    }
+
+    // Every top-level DOM node rendered for a vnode, in document order
+    getDOMNodes(vnode) {
+        if (vnode.type === 'component') {
+            return vnode.rendered ? this.getDOMNodes(vnode.rendered) : [];
+        }
+        if (vnode.type === 'fragment') {
+            return vnode.children.flatMap(child => this.getDOMNodes(child));
+        }
+        return vnode.dom ? [vnode.dom] : [];
+    }
+
+    removeDOM(vnode) {
+        this.getDOMNodes(vnode).forEach(node => {
+            if (node.parentNode) {
+                node.parentNode.removeChild(node);
+            }
+        });
+    }
+
+    patch(parent, oldVNode, newVNode) {
+        if (!oldVNode && !newVNode) return;
+        
+        if (!oldVNode) {
+            parent.appendChild(this.createDOM(newVNode, namespaceOf(parent)));
+            return;
+        }
+
+        if (!newVNode) {
+            this.removeDOM(oldVNode);
+            this.unmount(oldVNode);
+            return;
+        }
+
+        if (oldVNode === newVNode) return;
+
+        oldVNode = normalizeVNode(oldVNode);
+        newVNode = normalizeVNode(newVNode);
+
+        if (this.isVNodeChanged(oldVNode, newVNode)) {
+            const newDOM = this.createDOM(newVNode, namespaceOf(parent));
+            parent.insertBefore(newDOM, this.getDOM(oldVNode));
+            this.removeDOM(oldVNode);
+            this.unmount(oldVNode);
+            return;
+        }
+
+        if (newVNode.type === 'portal') {
+            newVNode.dom = oldVNode.dom;
+            const [oldContent] = oldVNode.children;
+
+            if (newVNode.target !== oldVNode.target) {
+                this.removeDOM(oldContent);
+                this.unmount(oldContent);
+                this.mountPortal(newVNode);
+            } else {
+                this.patch(newVNode.target, oldContent, newVNode.children[0]);
+                this.linkPortal(newVNode);
+            }
+            return;
+        }
+
+        if (newVNode.type === 'fragment') {
+            const oldNodes = this.getDOMNodes(oldVNode);
+            const endAnchor = oldNodes[oldNodes.length - 1].nextSibling;
+            this.patchChildren(parent, oldVNode.children, newVNode.children, endAnchor);
+            return;
+        }
+
+        if (newVNode.type === 'text') {
+            newVNode.dom = oldVNode.dom;
+            if (oldVNode.text !== newVNode.text) {
+                newVNode.dom.nodeValue = newVNode.text;
+            }
+            this.unbindText(oldVNode);
+            this.bindText(newVNode);
+            return;
+        }
+
+        if (newVNode.type === 'component') {
+            const instance = oldVNode.instance;
+            newVNode.instance = instance;
+            instance.vnode = newVNode;
+            newVNode.rendered = this.renderInstance(instance);
+            this.withInstance(instance, () => this.patch(parent, oldVNode.rendered, newVNode.rendered));
+            return;
+        }
+
+        newVNode.dom = oldVNode.dom;
+        this.updateProperties(newVNode.dom, oldVNode.props, newVNode.props);
+        this.patchChildren(newVNode.dom, oldVNode.children || [], newVNode.children || []);
+
+        // Options may have just been added, so select the value again
+        if (newVNode.tag === 'select' && newVNode.props.value != null) {
+            setProperty(newVNode.dom, 'value', newVNode.props.value, oldVNode.props.value);
+        }
+    }
+
+    // Reconcile two child lists: keyed children are matched by key, unkeyed
+    // children fall back to their order among the unkeyed siblings. Matched
+    // nodes are patched in place and only moved when they leave the longest
+    // run that is already in order, so untouched siblings keep their DOM.
+    // `endAnchor` bounds the list when it shares `parent` with other nodes
+    // (fragment children).
+    patchChildren(parent, oldChildren, newChildren, endAnchor = null) {
+        const keyedIndex = new Map();
+        const unkeyedIndexes = [];
+
+        oldChildren.forEach((child, index) => {
+            if (child.key != null) {
+                keyedIndex.set(child.key, index);
+            } else {
+                unkeyedIndexes.push(index);
+            }
+        });
+
+        const reused = new Array(oldChildren.length).fill(false);
+        const sources = new Array(newChildren.length).fill(-1);
+        let unkeyedCursor = 0;
+
+        newChildren.forEach((child, newIndex) => {
+            const oldIndex = child.key != null
+                ? keyedIndex.get(child.key)
+                : unkeyedIndexes[unkeyedCursor++];
+
+            if (oldIndex !== undefined && !reused[oldIndex] &&
+                !this.isVNodeChanged(oldChildren[oldIndex], child)) {
+                reused[oldIndex] = true;
+                sources[newIndex] = oldIndex;
+            }
+        });
+
+        // Remove old children that have no counterpart
+        oldChildren.forEach((child, index) => {
+            if (!reused[index]) {
+                this.patch(parent, child, null);
+            }
+        });
+
+        // Patch reused children in place before moving anything
+        newChildren.forEach((child, newIndex) => {
+            if (sources[newIndex] !== -1) {
+                this.patch(parent, oldChildren[sources[newIndex]], child);
+            }
+        });
+
+        const stable = longestIncreasingSubsequence(sources);
+        const focus = captureFocus(parent);
+        let anchor = endAnchor;
+
+        for (let i = newChildren.length - 1; i >= 0; i--) {
+            const child = newChildren[i];
+
+            if (sources[i] === -1) {
+                parent.insertBefore(this.createDOM(child, namespaceOf(parent)), anchor);
+            } else if (!stable.has(i)) {
+                const nodes = this.getDOMNodes(child);
+                if (nodes[nodes.length - 1].nextSibling !== anchor) {
+                    nodes.forEach(node => parent.insertBefore(node, anchor));
+                }
+            }
+
+            anchor = this.getDOM(child);
+        }
+
+        restoreFocus(focus);
+    }
+
+    isVNodeChanged(oldVNode, newVNode) {
+        if (typeof oldVNode !== typeof newVNode) return true;
+        if (typeof oldVNode === 'string') return oldVNode !== newVNode;
+        if (typeof oldVNode === 'number') return oldVNode !== newVNode;
+        if (oldVNode.type !== newVNode.type) return true;
+        if (oldVNode.tag !== newVNode.tag) return true;
+        if (oldVNode.key !== newVNode.key) return true;
+        return false;
+    }
+
+    updateProperties(element, oldProps, newProps) {
+        if (!element) return;
+
+        const allProps = { ...oldProps, ...newProps };
+        
+        Object.keys(allProps).forEach(key => {
+            const oldValue = oldProps[key];
+            const newValue = newProps[key];
+
+            // Form state can be changed by the user, so compare with the live DOM
+            if (oldValue !== newValue || LIVE_PROPERTIES.has(key)) {
+                setProperty(element, key, newValue, oldValue);
+            }
+        });
+    }
+
+    // Component system
+    defineComponent(name, componentFunction) {
+        const previous = this.components[name];
+        this.components[name] = componentFunction;
+
+        // Redefinition (e.g. a hot module update): re-render live instances
+        // with the new function, keeping their hook state
+        if (previous && previous !== componentFunction) {
+            this.refreshComponent(name);
+        }
+        return this;
+    }
+
+    refreshComponent(name) {
+        const instances = Array.from(this.liveInstances.get(name) || []);
+        instances.forEach(instance => this.scheduleUpdate(instance));
+
+        if (this.pluginSystem && instances.length > 0) {
+            this.pluginSystem.executeHook('component:refresh', { name, instances: instances.length });
+        }
+    }
+
+    async renderComponent(name, props = {}) {
+        const componentFunction = this.components[name];
+        
+        if (!componentFunction) {
+            console.error(`Component ${name} not found`);
+            return this.createElement('div', { className: 'error' }, `Component ${name} not found`);
+        }
+
+        const context = this.createComponentContext(props);
+
+        try {
+            await this.runMiddlewares(context);
+
+            // The component renders with the context the middlewares decorated
+            const vnode = this.createElement(name, props);
+            vnode.context = context;
+            return vnode;
+        } catch (error) {
+            console.error(`Error rendering component ${name}:`, error);
+            
+            if (this.pluginSystem) {
+                this.pluginSystem.executeHook('component:error', { 
+                    name, 
+                    error, 
+                    props 
+                });
+            }
+            
+            return this.createElement('div', { className: 'error' }, 
+                `Error rendering ${name}: ${error.message}`
+            );
+        }
+    }
+
+    createComponentContext(props) {
+        return {
+            props,
+            t: (key, params) => this.translate(key, params),
+            hasPermission: (perm) => this.checkPermission(perm),
+            isAuthenticated: () => this.isAuthenticated(),
+            vani: this
+        };
+    }
+
+    // Context passed to a registered component: the one renderComponent's
+    // middlewares decorated, kept up to date with the props, or a fresh one
+    contextFor(vnode, props) {
+        if (!vnode.context) return this.createComponentContext(props);
+        vnode.context.props = props;
+        return vnode.context;
+    }
+
+    // Component instances hold hook state for one mounted component vnode
+    createInstance(vnode) {
+        const instance = {
+            id: ++this.instanceCounter,
+            name: typeof vnode.tag === 'function' ? (vnode.tag.name || 'Anonymous') : vnode.tag,
+            vnode,
+            parent: this.currentInstance,
+            depth: this.currentInstance ? this.currentInstance.depth + 1 : 0,
+            hooks: [],
+            hookIndex: 0,
+            dirty: false,
+            mounted: false,
+            unmounted: false
+        };
+        // Signals read while rendering re-render the component when they change
+        instance.observer = createObserver(() => this.scheduleUpdate(instance));
+        vnode.instance = instance;
+
+        if (this.serverInstances) {
+            this.serverInstances.push(instance);
+        } else if (typeof vnode.tag === 'string') {
+            if (!this.liveInstances.has(vnode.tag)) {
+                this.liveInstances.set(vnode.tag, new Set());
+            }
+            this.liveInstances.get(vnode.tag).add(instance);
+        }
+        return instance;
+    }
+
+    // Run the component function with its instance as the hook cursor owner
+    renderInstance(instance) {
+        const startTime = performance.now();
+        const { vnode, name } = instance;
+        const componentFunction = typeof vnode.tag === 'function' ? vnode.tag : this.components[vnode.tag];
+        const props = vnode.children.length ? { ...vnode.props, children: vnode.children } : vnode.props;
+        const previousInstance = this.currentInstance;
+        const previousComponent = this.currentComponent;
+
+        this.currentInstance = instance;
+        this.currentComponent = name;
+        instance.hookIndex = 0;
+        instance.dirty = false;
+
+        try {
+            // An async render that already settled is reused until the props
+            // change or the component asks for an update
+            const cached = instance.asyncRender;
+            let result;
+
+            if (cached && shallowEqualProps(cached.props, vnode.props)) {
+                if (cached.status === 'pending') throw cached.promise;
+                if (cached.status === 'rejected') throw cached.error;
+                result = cached.value;
+            } else {
+                instance.asyncRender = null;
+                result = runObserved(instance.observer, () => typeof vnode.tag === 'function'
+                    ? componentFunction(props)
+                    : componentFunction(this.contextFor(vnode, props)));
+
+                if (isThenable(result)) {
+                    throw this.trackAsyncRender(instance, result);
+                }
+            }
+
+            const renderTime = performance.now() - startTime;
+            if (this.pluginSystem) {
+                this.pluginSystem.executeHook('component:render', { 
+                    name, 
+                    renderTime, 
+                    props,
+                    result
+                });
+            }
+
+            return normalizeVNode(result);
+        } catch (error) {
+            // A pending promise (async component or resource) suspends instead
+            if (isThenable(error)) {
+                return this.suspend(instance, error);
+            }
+
+            // A boundary above will swap in its fallback on the next flush
+            if (this.handleComponentError(instance, error)) {
+                return createTextVNode('');
+            }
+            return this.createElement('div', { className: 'error' }, 
+                `Error rendering ${name}: ${error.message}`
+            );
+        } finally {
+            this.currentInstance = previousInstance;
+            this.currentComponent = previousComponent;
+        }
+    }
+
+    // Report a render or effect error and hand it to the nearest ErrorBoundary.
+    // Returns true when a boundary took responsibility for it.
+    handleComponentError(instance, error) {
+        const { name, vnode } = instance;
+        console.error(`Error rendering component ${name}:`, error);
+
+        let boundary = instance.parent;
+        while (boundary && (!boundary.catchError || boundary.unmounted)) {
+            boundary = boundary.parent;
+        }
+        
+        if (this.pluginSystem) {
+            this.pluginSystem.executeHook('component:error', { 
+                name, 
+                error, 
+                props: vnode.props,
+                boundary: boundary ? boundary.name : null
+            });
+        }
+
+        if (boundary) {
+            boundary.catchError(error, { component: name });
+            return true;
+        }
+        return false;
+    }
+
+    // Remember the outcome of a component that returned a promise
+    trackAsyncRender(instance, promise) {
+        const entry = { props: instance.vnode.props, status: 'pending', promise };
+        instance.asyncRender = entry;
+
+        promise.then(
+            value => {
+                entry.status = 'resolved';
+                entry.value = value;
+            },
+            error => {
+                entry.status = 'rejected';
+                entry.error = error;
+            }
+        );
+        return promise;
+    }
+
+    // The component is waiting on `promise`: it renders nothing for now, the
+    // nearest Suspense may show its fallback, and it re-renders once settled
+    suspend(instance, promise) {
+        let boundary = instance.parent;
+        while (boundary && (!boundary.catchPending || boundary.unmounted)) {
+            boundary = boundary.parent;
+        }
+
+        if (boundary) {
+            boundary.catchPending(promise);
+        }
+
+        const retry = () => this.scheduleUpdate(instance);
+        promise.then(retry, retry);
+
+        if (this.pluginSystem) {
+            this.pluginSystem.executeHook('component:suspend', {
+                name: instance.name,
+                id: instance.id,
+                boundary: boundary ? boundary.name : null
+            });
+        }
+
+        return createTextVNode('');
+    }
+
+    // Data for Suspense: read(...args) returns the loaded value, or throws
+    // the pending promise (suspending the reader) or the load error.
+    // Results are cached per argument list until invalidated.
+    createResource(fetcher) {
+        const entries = new Map();
+
+        const load = (args) => {
+            const key = JSON.stringify(args);
+            let entry = entries.get(key);
+
+            if (!entry) {
+                entry = { status: 'pending' };
+                entry.promise = Promise.resolve()
+                    .then(() => fetcher(...args))
+                    .then(
+                        value => {
+                            entry.status = 'resolved';
+                            entry.value = value;
+                        },
+                        error => {
+                            entry.status = 'rejected';
+                            entry.error = error;
+                        }
+                    );
+                entries.set(key, entry);
+            }
+            return entry;
+        };
+
+        return {
+            read: (...args) => {
+                const entry = load(args);
+                if (entry.status === 'pending') throw entry.promise;
+                if (entry.status === 'rejected') throw entry.error;
+                return entry.value;
+            },
+            preload: (...args) => {
+                load(args);
+            },
+            invalidate: (...args) => {
+                if (args.length) {
+                    entries.delete(JSON.stringify(args));
+                } else {
+                    entries.clear();
+                }
+            }
+        };
+    }
+
+    // Mount or patch a subtree with `instance` as the parent of nested components
+    withInstance(instance, callback) {
+        const previousInstance = this.currentInstance;
+        this.currentInstance = instance;
+        try {
+            return callback();
+        } finally {
+            this.currentInstance = previousInstance;
+        }
+    }
+
+    // Release everything held by a vnode subtree that is leaving the page
+    unmount(vnode) {
+        if (!vnode || typeof vnode !== 'object') return;
+
+        if (vnode.type === 'component') {
+            const instance = vnode.instance;
+            this.unmount(vnode.rendered);
+            if (instance && !instance.unmounted) {
+                this.releaseInstance(instance);
+            }
+            return;
+        }
+
+        if (vnode.type === 'element' && vnode.dom) {
+            removeAllListeners(vnode.dom);
+            unbindProperties(vnode.dom);
+        }
+
+        if (vnode.type === 'text') {
+            this.unbindText(vnode);
+        }
+
+        // Portal content is not inside the parent's DOM, so it leaves separately
+        if (vnode.type === 'portal') {
+            this.removeDOM(vnode.children[0]);
+        }
+
+        if (vnode.props?.ref) {
+            setRef(vnode.props.ref, null);
+        }
+
+        (vnode.children || []).forEach(child => this.unmount(child));
+    }
+
+    releaseInstance(instance) {
+        instance.hooks.forEach(hook => {
+            if (hook.type === 'unmount') {
+                try {
+                    hook.callback();
+                } catch (error) {
+                    this.handleComponentError(instance, error);
+                }
+            } else if (hook.type === 'effect') {
+                this.runEffectCleanup(instance, hook);
+            } else if (hook.type === 'subscription') {
+                hook.unsubscribe();
+            } else if (hook.type === 'state') {
+                this.stateOwners.get(hook.stateKey)?.delete(instance);
+                if (hook.shared) return;
+
+                const oldState = this.state[hook.stateKey];
+                delete this.state[hook.stateKey];
+                this.historyKeys.delete(hook.stateKey);
+
+                if (this.pluginSystem) {
+                    this.pluginSystem.executeHook('state:destroy', hook.stateKey, oldState);
+                }
+            }
+        });
+
+        (instance.contextSubscriptions || []).forEach(provider => {
+            provider.contextSubscribers.delete(instance);
+        });
+
+        untrack(instance.observer);
+        instance.mounted = false;
+        instance.unmounted = true;
+        this.liveInstances.get(instance.vnode.tag)?.delete(instance);
+
+        if (this.pluginSystem) {
+            this.pluginSystem.executeHook('component:unmount', {
+                name: instance.name,
+                id: instance.id,
+                props: instance.vnode.props
+            });
+        }
+    }
+
+    // State management
+    useState(initialState, options = {}) {
+        const { instance, index } = this.nextHook('useState');
+        let hook = instance.hooks[index];
+
+        if (!hook) {
+            // An explicit key shares the slot across instances (e.g. `settings_persist`)
+            const stateKey = options.key || `${instance.name}_${instance.id}_${index}`;
+            hook = { type: 'state', stateKey, shared: !!options.key };
+            instance.hooks[index] = hook;
+
+            if (!this.stateOwners.has(stateKey)) {
+                this.stateOwners.set(stateKey, new Set());
+            }
+            this.stateOwners.get(stateKey).add(instance);
+
+            // Opt in to undo/redo (see the history plugin)
+            if (options.history) {
+                this.historyKeys.add(stateKey);
+            }
+
+            if (!(stateKey in this.state)) {
+                this.state[stateKey] = typeof initialState === 'function' 
+                    ? initialState() 
+                    : initialState;
+                
+                if (this.pluginSystem) {
+                    this.pluginSystem.executeHook('state:create', stateKey, this.state[stateKey]);
+                }
+                
+                Object.values(this.plugins).forEach(plugin => {
+                    if (plugin.onStateCreate) {
+                        plugin.onStateCreate(stateKey, this.state[stateKey]);
+                    }
+                });
+            }
+
+            hook.setState = (newState) => {
+                if (instance.unmounted && !hook.shared) {
+                    return;
+                }
+
+                const oldState = this.state[stateKey];
+                this.state[stateKey] = typeof newState === 'function'
+                    ? newState(oldState)
+                    : mergeState(oldState, newState);
+                
+                if (this.pluginSystem) {
+                    this.pluginSystem.executeHook('state:update', stateKey, oldState, this.state[stateKey]);
+                }
+                
+                Object.values(this.plugins).forEach(plugin => {
+                    if (plugin.onStateUpdate) {
+                        plugin.onStateUpdate(stateKey, oldState, this.state[stateKey]);
+                    }
+                });
+
+                this.keyedSignals.get(stateKey)?.sync();
+                this.updateComponent(instance);
+            };
+        }
+
+        return [this.state[hook.stateKey], hook.setState];
+    }
+
+    useEffect(effect, deps) {
+        const { instance, index } = this.nextHook('useEffect');
+        let hook = instance.hooks[index];
+
+        if (!hook) {
+            hook = { type: 'effect', deps: undefined, cleanup: null };
+            instance.hooks[index] = hook;
+            this.pendingEffects.push({ instance, hook });
+        } else if (depsChanged(hook.deps, deps)) {
+            this.pendingEffects.push({ instance, hook });
+        }
+
+        hook.effect = effect;
+        hook.deps = deps;
+    }
+
+    useMemo(factory, deps) {
+        const { instance, index } = this.nextHook('useMemo');
+        let hook = instance.hooks[index];
+
+        if (!hook || depsChanged(hook.deps, deps)) {
+            hook = { type: 'memo', value: factory(), deps };
+            instance.hooks[index] = hook;
+        }
+
+        return hook.value;
+    }
+
+    useCallback(callback, deps) {
+        return this.useMemo(() => callback, deps);
+    }
+
+    useRef(initialValue = null) {
+        const { instance, index } = this.nextHook('useRef');
+
+        if (!instance.hooks[index]) {
+            instance.hooks[index] = { type: 'ref', ref: { current: initialValue } };
+        }
+
+        return instance.hooks[index].ref;
+    }
+
+    // Lifecycle callbacks
+    onMount(callback) {
+        this.useEffect(callback, []);
+    }
+
+    onUnmount(callback) {
+        const { instance, index } = this.nextHook('onUnmount');
+
+        if (!instance.hooks[index]) {
+            instance.hooks[index] = { type: 'unmount' };
+        }
+
+        // Keep the latest closure so it sees current props and state
+        instance.hooks[index].callback = callback;
+    }
+
+    // Claim the next hook slot of the component being rendered
+    nextHook(hookName) {
+        const instance = this.currentInstance;
+        if (!instance) {
+            throw new Error(`${hookName} must be called within a component`);
+        }
+        return { instance, index: instance.hookIndex++ };
+    }
+
+    // Put a state slot back to `value` from outside its setter (undo/redo,
+    // devtools) and refresh everything that reads it
+    restoreState(stateKey, value) {
+        const oldState = this.state[stateKey];
+        if (Object.is(oldState, value)) return;
+
+        this.state[stateKey] = value;
+
+        if (this.pluginSystem) {
+            this.pluginSystem.executeHook('state:update', stateKey, oldState, value);
+        }
+
+        Object.values(this.plugins).forEach(plugin => {
+            if (plugin.onStateUpdate) {
+                plugin.onStateUpdate(stateKey, oldState, value);
+            }
+        });
+
+        this.keyedSignals.get(stateKey)?.sync();
+        this.stores?.forEach(store => {
+            if (store.stateKey === stateKey) {
+                store.sync(oldState);
+            }
+        });
+        (this.stateOwners.get(stateKey) || []).forEach(instance => this.scheduleUpdate(instance));
+    }
+
+    // Effects run once the DOM for the current render is in place
+    flushEffects() {
+        const mounts = this.pendingMounts;
+        const effects = this.pendingEffects;
+        this.pendingMounts = [];
+        this.pendingEffects = [];
+
+        if (this.pluginSystem) {
+            mounts.forEach(instance => {
+                if (instance.unmounted) return;
+                this.pluginSystem.executeHook('component:mount', {
+                    name: instance.name,
+                    id: instance.id,
+                    props: instance.vnode.props
+                });
+            });
+        }
+
+        effects.forEach(({ instance, hook }) => {
+            if (instance.unmounted) return;
+
+            this.runEffectCleanup(instance, hook);
+            try {
+                const cleanup = hook.effect();
+                hook.cleanup = typeof cleanup === 'function' ? cleanup : null;
+            } catch (error) {
+                this.handleComponentError(instance, error);
+            }
+        });
+    }
+
+    runEffectCleanup(instance, hook) {
+        if (!hook.cleanup) return;
+
+        const cleanup = hook.cleanup;
+        hook.cleanup = null;
+        try {
+            cleanup();
+        } catch (error) {
+            this.handleComponentError(instance, error);
+        }
+    }
+
+    updateComponent(instance) {
+        if (!instance.unmounted) {
+            // An explicit update runs an async component again
+            instance.asyncRender = null;
+            this.scheduleUpdate(instance);
+        }
+    }
+
+    // ==================== RENDER SCHEDULER ====================
+
+    // Queue a component for re-render; updates in the same tick share one flush
+    scheduleUpdate(instance) {
+        if (instance.unmounted) return;
+
+        instance.dirty = true;
+        this.scheduler.queue.add(instance);
+
+        if (this.scheduler.pending) return;
+        this.scheduler.pending = true;
+
+        const flush = () => this.flushUpdates();
+        if (this.scheduler.mode === 'frame' && typeof requestAnimationFrame === 'function') {
+            requestAnimationFrame(flush);
+        } else {
+            queueMicrotask(flush);
+        }
+    }
+
+    // Re-render queued components, parents first; a child already refreshed by
+    // its parent's patch is no longer dirty and is skipped
+    flushUpdates() {
+        const startTime = performance.now();
+        const queue = Array.from(this.scheduler.queue).sort((a, b) => a.depth - b.depth);
+        this.scheduler.queue.clear();
+        this.scheduler.pending = false;
+
+        const updated = [];
+        queue.forEach(instance => {
+            if (instance.dirty && !instance.unmounted) {
+                this.rerenderInstance(instance);
+                updated.push(instance.name);
+            }
+        });
+
+        this.flushEffects();
+
+        if (this.pluginSystem && updated.length > 0) {
+            this.pluginSystem.executeHook('scheduler:flush', {
+                renderTime: performance.now() - startTime,
+                components: updated
+            });
+        }
+    }
+
+    // Patch only the subtree owned by one component instance
+    rerenderInstance(instance) {
+        const { vnode } = instance;
+        const oldRendered = vnode.rendered;
+        const parent = this.getDOM(oldRendered)?.parentNode;
+
+        if (!parent) return;
+
+        vnode.rendered = this.renderInstance(instance);
+        this.withInstance(instance, () => this.patch(parent, oldRendered, vnode.rendered));
+
+        // Inside a Suspense showing its fallback, new nodes stay hidden
+        let boundary = instance.parent;
+        while (boundary && !boundary.hideSuspended) {
+            boundary = boundary.parent;
+        }
+        if (boundary && !boundary.unmounted) {
+            boundary.hideSuspended();
+        }
+    }
+
+    // ==================== CONTEXT API ====================
+
+    // Values provided by a Provider are visible to every descendant component.
+    // Consumers re-render when the provided value changes, even if the
+    // subtree between them and the Provider is skipped by the diff.
+    createContext(defaultValue) {
+        const context = {
+            defaultValue,
+            Provider: (props) => {
+                const instance = this.currentInstance;
+                const changed = instance.providedContext === context &&
+                    !Object.is(instance.providedValue, props.value);
+
+                instance.providedContext = context;
+                instance.providedValue = props.value;
+                instance.contextSubscribers = instance.contextSubscribers || new Set();
+
+                if (changed) {
+                    instance.contextSubscribers.forEach(subscriber => this.scheduleUpdate(subscriber));
+                }
+
+                return props.children;
+            }
+        };
+        return context;
+    }
+
+    useContext(context) {
+        const instance = this.currentInstance;
+        if (!instance) {
+            throw new Error('useContext must be called within a component');
+        }
+
+        let provider = instance.parent;
+        while (provider && provider.providedContext !== context) {
+            provider = provider.parent;
+        }
+
+        if (!provider) {
+            return context.defaultValue;
+        }
+
+        provider.contextSubscribers.add(instance);
+        instance.contextSubscriptions = instance.contextSubscriptions || new Set();
+        instance.contextSubscriptions.add(provider);
+
+        return provider.providedValue;
+    }
+
+    // ==================== PORTALS ====================
+
+    // Render `children` into `target` (e.g. document.body) while they stay
+    // part of this tree: state, context and error boundaries come from the
+    // component rendering the portal, and the content is removed with it.
+    createPortal(children, target, key) {
+        if (!target) {
+            throw new Error('createPortal needs a target element');
+        }
+        return createPortalVNode(children, target, key);
+    }
+
+    mountPortal(vnode) {
+        const content = vnode.children[0];
+        vnode.target.appendChild(this.createDOM(content, namespaceOf(vnode.target)));
+        this.linkPortal(vnode);
+    }
+
+    // Content roots point back at the portal's placeholder, so DOM code
+    // (e.g. event dispatch) can continue from the logical parent
+    linkPortal(vnode) {
+        this.getDOMNodes(vnode.children[0]).forEach(node => {
+            node._vaniPortalAnchor = vnode.dom;
+        });
+    }
+
+    // ==================== CUSTOM ELEMENTS ====================
+
+    // Wrap a registered component in a real custom element, for pages that
+    // don't use VaniJS. Observed props are read from attributes (kebab-case:
+    // userId <- user-id) and from properties of the same name, so objects
+    // and arrays can be passed too. Components receive `emit(type, detail)`,
+    // which dispatches a bubbling, composed CustomEvent from the element, and
+    // `host`, the element itself. With `shadow`, the component renders into
+    // an open shadow root (render a <slot> for the light DOM children).
+    defineCustomElement(name, componentName, options = {}) {
+        const { shadow = false, observedProps = [] } = options;
+        const vani = this;
+
+        if (typeof customElements === 'undefined') return null;
+
+        if (customElements.get(name)) {
+            console.warn(`Custom element <${name}> is already defined`);
+            return customElements.get(name);
+        }
+
+        const toAttribute = prop => prop.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+        const propsByAttribute = Object.fromEntries(observedProps.map(prop => [toAttribute(prop), prop]));
+
+        class VaniElement extends HTMLElement {
+            static get observedAttributes() {
+                return Object.keys(propsByAttribute);
+            }
+
+            constructor() {
+                super();
+                this._vaniProps = {};
+                this._vaniTree = null;
+                this._vaniPending = false;
+                this._vaniEmit = (type, detail, eventOptions = {}) => this.dispatchEvent(
+                    new CustomEvent(type, { detail, bubbles: true, composed: true, ...eventOptions })
+                );
+
+                this._vaniRoot = shadow ? this.attachShadow({ mode: 'open' }) : this;
+            }
+
+            connectedCallback() {
+                // Properties set before the element was upgraded shadow the
+                // accessors; re-assign them through the accessors
+                observedProps.forEach(prop => {
+                    if (Object.prototype.hasOwnProperty.call(this, prop)) {
+                        const value = this[prop];
+                        delete this[prop];
+                        this[prop] = value;
+                    }
+                });
+
+                if (!this._vaniTree) {
+                    this._vaniRender();
+                }
+            }
+
+            // Moving the element disconnects and reconnects it in one go, so
+            // unmount only if it is still detached afterwards
+            disconnectedCallback() {
+                queueMicrotask(() => {
+                    if (this.isConnected || !this._vaniTree) return;
+                    vani.removeDOM(this._vaniTree);
+                    vani.unmount(this._vaniTree);
+                    this._vaniTree = null;
+                    if (shadow) {
+                        removeDelegationRoot(this._vaniRoot);
+                    }
+                });
+            }
+
+            attributeChangedCallback(attribute, oldValue, value) {
+                this._vaniSetProp(propsByAttribute[attribute], value);
+            }
+
+            _vaniSetProp(prop, value) {
+                if (Object.is(this._vaniProps[prop], value)) return;
+                this._vaniProps[prop] = value;
+
+                if (!this._vaniTree || this._vaniPending) return;
+                this._vaniPending = true;
+                queueMicrotask(() => {
+                    this._vaniPending = false;
+                    if (this._vaniTree) this._vaniRender();
+                });
+            }
+
+            // Each element is its own render root, patched in place
+            _vaniRender() {
+                if (!vani.components[componentName]) {
+                    console.error(`Component ${componentName} not found for <${name}>`);
+                    return;
+                }
+
+                const vnode = normalizeVNode(vani.createElement(componentName, {
+                    ...this._vaniProps,
+                    emit: this._vaniEmit,
+                    host: this
+                }));
+
+                if (this._vaniTree) {
+                    vani.patch(this._vaniRoot, this._vaniTree, vnode);
+                } else {
+                    // Events inside the shadow root are delegated from it
+                    // while it has content (see removeDelegationRoot)
+                    if (shadow) {
+                        addDelegationRoot(this._vaniRoot);
+                    } else {
+                        this.textContent = '';
+                    }
+                    this._vaniRoot.appendChild(vani.createDOM(vnode));
+                }
+
+                this._vaniTree = vnode;
+                vani.flushEffects();
+            }
+        }
+
+        // Property accessors for the observed props
+        observedProps.forEach(prop => {
+            Object.defineProperty(VaniElement.prototype, prop, {
+                get() {
+                    return this._vaniProps[prop];
+                },
+                set(value) {
+                    this._vaniSetProp(prop, value);
+                },
+                configurable: true,
+                enumerable: true
+            });
+        });
+
+        customElements.define(name, VaniElement);
+
+        if (this.pluginSystem) {
+            this.pluginSystem.executeHook('element:define', { name, componentName, shadow, observedProps });
+        }
+
+        return VaniElement;
+    }
+
+    // ==================== SIGNALS ====================
+
+    // A signal holds one value; `.value` reads (tracked) and writes it.
+    // Bound into a vnode as a child or prop, it updates that text node or
+    // prop in place without a re-render. Components that read `.value`
+    // while rendering re-render when it changes. Writes go through the
+    // `state:update` hook like useState; with `{ key }` the value lives in
+    // this.state[key], shared with useState(…, { key }) and the persistence
+    // plugin (`*_persist` keys).
+    signal(initialValue, options = {}) {
+        const { key } = options;
+        if (key && this.keyedSignals.has(key)) {
+            return this.keyedSignals.get(key);
+        }
+
+        const stateKey = key || `signal_${++this.signalCounter}`;
+        let value = initialValue;
+
+        if (key) {
+            if (key in this.state) {
+                value = this.state[key];
+            } else {
+                this.state[key] = value;
+                if (this.pluginSystem) {
+                    this.pluginSystem.executeHook('state:create', key, value);
+                }
+            }
+        }
+
+        const write = (next) => {
+            if (Object.is(next, value)) return;
+
+            const oldValue = value;
+            value = next;
+            if (key) {
+                this.state[key] = next;
+            }
+
+            if (this.pluginSystem) {
+                this.pluginSystem.executeHook('state:update', stateKey, oldValue, next);
+            }
+
+            Object.values(this.plugins).forEach(plugin => {
+                if (plugin.onStateUpdate) {
+                    plugin.onStateUpdate(stateKey, oldValue, next);
+                }
+            });
+
+            notifyObservers(source);
+
+            // Components reading the key through useState re-render too
+            if (key) {
+                (this.stateOwners.get(key) || []).forEach(instance => this.scheduleUpdate(instance));
+            }
+        };
+
+        const source = {
+            [SIGNAL]: true,
+            key: stateKey,
+            observers: new Set(),
+            get value() {
+                track(source);
+                return value;
+            },
+            set value(next) {
+                write(next);
+            },
+            // Read without subscribing the current computation
+            peek: () => value,
+            set: (next) => write(typeof next === 'function' ? next(value) : next),
+            subscribe: (callback) => subscribeSignal(source, callback),
+            // Pick up a change made through this.state (a useState setter)
+            sync: () => {
+                if (key && !Object.is(this.state[key], value)) {
+                    value = this.state[key];
+                    notifyObservers(source);
+                }
+            },
+            toString: () => toText(value)
+        };
+
+        if (key) {
+            this.keyedSignals.set(key, source);
+        }
+        return source;
+    }
+
+    // A read-only signal derived from others; recomputed lazily after one
+    // of the signals it read changes
+    computed(compute) {
+        let value;
+        let stale = true;
+
+        const observer = createObserver(() => {
+            if (stale) return;
+            stale = true;
+            notifyObservers(source);
+        });
+
+        const read = () => {
+            if (stale) {
+                value = runObserved(observer, compute);
+                stale = false;
+            }
+            return value;
+        };
+
+        const source = {
+            [SIGNAL]: true,
+            observers: new Set(),
+            get value() {
+                track(source);
+                return read();
+            },
+            peek: read,
+            subscribe: (callback) => subscribeSignal(source, callback),
+            toString: () => toText(read())
+        };
+        return source;
+    }
+
+    // Run `fn` now and again whenever a signal it read changes. `fn` may
+    // return a cleanup; the returned function stops the effect.
+    effect(fn) {
+        let cleanup = null;
+        let disposed = false;
 
-    // Middleware system
-    use(middleware) {
-        if (typeof middleware === 'function') {
-            this.middlewares.push(middleware);
-        }
-        return this;
-    }
+        const runCleanup = () => {
+            if (typeof cleanup === 'function') cleanup();
+            cleanup = null;
+        };
 
-    async runMiddlewares(context) {
-        for (const middleware of this.middlewares) {
-            try {
-                await middleware(context, () => {});
-            } catch (error) {
-                console.error('Middleware error:', error);
-                if (this.pluginSystem) {
-                    this.pluginSystem.executeHook('middleware:error', { error, middleware, context });
-                }
-                break;
-            }
-        }
+        const observer = createObserver(() => {
+            if (disposed) return;
+            runCleanup();
+            cleanup = runObserved(observer, fn);
+        });
+
+        observer.notify();
+
+        return () => {
+            disposed = true;
+            untrack(observer);
+            runCleanup();
+        };
     }
 
-    // Plugin system (legacy)
-    registerPlugin(name, plugin) {
-        this.plugins[name] = plugin;
-        if (plugin.init && typeof plugin.init === 'function') {
-            plugin.init(this);
+    // A signal owned by the current component, stable across renders
+    useSignal(initialValue) {
+        const { instance, index } = this.nextHook('useSignal');
+
+        if (!instance.hooks[index]) {
+            instance.hooks[index] = {
+                type: 'signal',
+                signal: this.signal(typeof initialValue === 'function' ? initialValue() : initialValue)
+            };
         }
-        return this;
-    }
 
-    getPlugin(name) {
-        return this.plugins[name];
+        return instance.hooks[index].signal;
     }
 
-    // Virtual DOM system
-    createElement(tag, props = {}, ...children) {
-        return {
-            tag,
-            props: props || {},
-            children: children.flat(Infinity).filter(child => 
-                child != null && child !== false && child !== true
-            ),
-            key: props?.key,
-            type: typeof tag === 'function' ? 'component' : 'element'
-        };
+    bindText(vnode) {
+        if (!vnode.signal) return;
+
+        vnode.unbind = subscribeSignal(vnode.signal, next => {
+            vnode.text = toText(next);
+            vnode.dom.nodeValue = vnode.text;
+        });
     }
 
-    render(vnode, container) {
-        if (!container) {
-            console.error('Container not provided for render');
-            return;
+    unbindText(vnode) {
+        if (vnode.unbind) {
+            vnode.unbind();
+            vnode.unbind = null;
         }
+    }
 
-        const startTime = performance.now();
-        
-        if (this.vdom.currentTree) {
-            this.patch(container, this.vdom.currentTree, vnode);
-        } else {
-            container.innerHTML = '';
-            const dom = this.createDOM(vnode);
-            container.appendChild(dom);
-        }
-        
-        this.vdom.currentTree = vnode;
-        this.vdom.rootElement = container;
+    // ==================== SERVER RENDERING & HYDRATION ====================
 
-        const renderTime = performance.now() - startTime;
-        if (this.pluginSystem) {
-            this.pluginSystem.executeHook('render:complete', { renderTime, vnode, container });
+    // Render a vnode tree to an HTML string. Needs no DOM, so it runs in Node;
+    // effects never run and the state created for the render is dropped.
+    renderToString(vnode) {
+        const previousEffects = this.pendingEffects;
+        const previousMounts = this.pendingMounts;
+        const previousInstances = this.serverInstances;
+
+        this.serverInstances = [];
+
+        try {
+            return this.renderNodeToString(normalizeVNode(vnode), null);
+        } finally {
+            this.serverInstances.forEach(instance => {
+                instance.hooks.forEach(hook => {
+                    if (hook.type === 'state') {
+                        this.stateOwners.get(hook.stateKey)?.delete(instance);
+                    }
+
+                    if (hook.type === 'state' && !hook.shared) {
+                        delete this.state[hook.stateKey];
+                    } else if (hook.type === 'subscription') {
+                        hook.unsubscribe();
+                    }
+                });
+                untrack(instance.observer);
+                instance.unmounted = true;
+            });
+
+            this.pendingEffects = previousEffects;
+            this.pendingMounts = previousMounts;
+            this.serverInstances = previousInstances;
         }
     }
 
-    createDOM(vnode) {
-        if (typeof vnode === 'string' || typeof vnode === 'number') {
-            return document.createTextNode(String(vnode));
+    renderNodeToString(vnode, selectValue) {
+        if (vnode.type === 'text') {
+            return escapeHTML(vnode.text);
         }
 
-        if (typeof vnode === 'boolean' || vnode == null) {
-            return document.createTextNode('');
+        // Portal targets only exist in the browser; the content mounts on hydrate
+        if (vnode.type === 'portal') {
+            return '';
         }
 
-        if (typeof vnode.tag === 'function') {
-            const componentResult = vnode.tag(vnode.props);
-            return this.createDOM(componentResult);
+        if (vnode.type === 'fragment') {
+            return vnode.children.map(child => this.renderNodeToString(child, selectValue)).join('');
         }
 
-        const element = document.createElement(vnode.tag);
+        if (vnode.type === 'component') {
+            const instance = this.createInstance(vnode);
+            vnode.rendered = this.renderInstance(instance);
+            return this.withInstance(instance, () => this.renderNodeToString(vnode.rendered, selectValue));
+        }
 
-        // Set properties
-        Object.keys(vnode.props).forEach(key => {
-            if (key.startsWith('on') && typeof vnode.props[key] === 'function') {
-                const eventType = key.toLowerCase().substring(2);
-                element.addEventListener(eventType, vnode.props[key]);
-            } else if (key === 'className') {
-                element.className = vnode.props[key];
-            } else if (key === 'style' && typeof vnode.props[key] === 'object') {
-                Object.assign(element.style, vnode.props[key]);
-            } else if (key !== 'key' && key !== 'children') {
-                element.setAttribute(key, vnode.props[key]);
-            }
-        });
+        const { tag, props } = vnode;
+        let html = `<${tag}`;
 
-        // Render children
-        vnode.children.forEach(child => {
-            const childDOM = this.createDOM(child);
-            if (childDOM) {
-                element.appendChild(childDOM);
+        Object.keys(props).forEach(key => {
+            let value = isSignal(props[key]) ? props[key].peek() : props[key];
+
+            if (key === 'key' || key === 'children' || key === 'ref' || typeof value === 'function') return;
+            if (parseEventProp(key)) return;
+            if (key === 'value' && (tag === 'select' || tag === 'textarea')) return;
+            if (value == null || (value === false && !/^(aria|data)-/.test(key))) return;
+
+            if (key === 'style' && typeof value === 'object') {
+                value = styleToString(value);
             }
+
+            const name = ATTRIBUTE_ALIASES[key] || key;
+            html += value === true ? ` ${name}` : ` ${name}="${escapeHTML(value)}"`;
         });
 
-        return element;
-    }
+        if (tag === 'option' && selectValue != null && String(props.value) === String(selectValue)) {
+            html += ' selected';
+        }
 
-    patch(parent, oldVNode, newVNode) {
-        if (!oldVNode && !newVNode) return;
-        
-        if (!oldVNode) {
-            const newDOM = this.createDOM(newVNode);
-            parent.appendChild(newDOM);
-            return;
+        html += '>';
+
+        if (VOID_ELEMENTS.has(tag)) {
+            return html;
         }
 
-        if (!newVNode) {
-            if (parent.firstChild) {
-                parent.removeChild(parent.firstChild);
-            }
-            return;
+        if (tag === 'textarea' && props.value != null) {
+            html += escapeHTML(props.value);
+        } else {
+            const childSelectValue = tag === 'select' ? props.value : selectValue;
+            vnode.children.forEach(child => {
+                html += RAW_TEXT_ELEMENTS.has(tag) && child.type === 'text'
+                    ? child.text
+                    : this.renderNodeToString(child, childSelectValue);
+            });
         }
 
-        if (this.isVNodeChanged(oldVNode, newVNode)) {
-            const newDOM = this.createDOM(newVNode);
-            parent.replaceChild(newDOM, parent.firstChild);
+        return `${html}</${tag}>`;
+    }
+
+    // Adopt server-rendered markup in `container` instead of recreating it:
+    // existing nodes are claimed by the vnode tree and get their listeners,
+    // refs and effects. Differences are repaired and reported through the
+    // `hydrate:mismatch` plugin hook.
+    hydrate(vnode, container) {
+        if (!container) {
+            console.error('Container not provided for hydrate');
             return;
         }
 
-        if (typeof newVNode === 'object' && newVNode.tag) {
-            this.updateProperties(parent.firstChild, oldVNode.props, newVNode.props);
-            
-            const oldChildren = oldVNode.children || [];
-            const newChildren = newVNode.children || [];
-            const maxLength = Math.max(oldChildren.length, newChildren.length);
-            
-            for (let i = 0; i < maxLength; i++) {
-                this.patch(parent.firstChild, oldChildren[i], newChildren[i]);
-            }
-        }
-    }
+        const startTime = performance.now();
+        vnode = normalizeVNode(vnode);
+        this.unmount(this.vdom.currentTree);
 
-    isVNodeChanged(oldVNode, newVNode) {
-        if (typeof oldVNode !== typeof newVNode) return true;
-        if (typeof oldVNode === 'string') return oldVNode !== newVNode;
-        if (typeof oldVNode === 'number') return oldVNode !== newVNode;
-        if (oldVNode.tag !== newVNode.tag) return true;
-        if (oldVNode.key !== newVNode.key) return true;
-        return false;
-    }
+        const rest = this.hydrateNode(container, vnode, container.firstChild, namespaceOf(container));
+        this.removeUnclaimedNodes(container, rest);
 
-    updateProperties(element, oldProps, newProps) {
-        if (!element) return;
+        this.vdom.currentTree = vnode;
+        this.vdom.rootElement = container;
+        this.flushEffects();
 
-        const allProps = { ...oldProps, ...newProps };
-        
-        Object.keys(allProps).forEach(key => {
-            const oldValue = oldProps[key];
-            const newValue = newProps[key];
-            
-            if (newValue === undefined || newValue === null) {
-                if (key.startsWith('on')) {
-                    const eventType = key.toLowerCase().substring(2);
-                    element.removeEventListener(eventType, oldValue);
-                } else if (key === 'className') {
-                    element.className = '';
-                } else if (key === 'style') {
-                    element.style = {};
-                } else {
-                    element.removeAttribute(key);
-                }
-            } else if (oldValue !== newValue) {
-                if (key.startsWith('on') && typeof newValue === 'function') {
-                    const eventType = key.toLowerCase().substring(2);
-                    if (oldValue) {
-                        element.removeEventListener(eventType, oldValue);
-                    }
-                    element.addEventListener(eventType, newValue);
-                } else if (key === 'className') {
-                    element.className = newValue;
-                } else if (key === 'style' && typeof newValue === 'object') {
-                    Object.assign(element.style, newValue);
-                } else if (key !== 'key') {
-                    element.setAttribute(key, newValue);
-                }
-            }
-        });
+        const renderTime = performance.now() - startTime;
+        if (this.pluginSystem) {
+            this.pluginSystem.executeHook('hydrate:complete', { renderTime, vnode, container });
+        }
     }
 
-    // Component system
-    defineComponent(name, componentFunction) {
-        this.components[name] = componentFunction;
-        return this;
-    }
+    // Claim the DOM starting at `dom` for `vnode`; returns the next unclaimed node
+    hydrateNode(parent, vnode, dom, namespace) {
+        dom = this.skipIgnorableNodes(dom, vnode);
 
-    async renderComponent(name, props = {}) {
-        const startTime = performance.now();
-        this.currentComponent = name;
-        const componentFunction = this.components[name];
-        
-        if (!componentFunction) {
-            console.error(`Component ${name} not found`);
-            return this.createElement('div', { className: 'error' }, `Component ${name} not found`);
+        if (vnode.type === 'portal') {
+            vnode.dom = document.createTextNode('');
+            parent.insertBefore(vnode.dom, dom);
+            this.mountPortal(vnode);
+            return dom;
         }
 
-        const context = {
-            props,
-            t: (key, params) => this.translate(key, params),
-            hasPermission: (perm) => this.checkPermission(perm),
-            isAuthenticated: () => this.isAuthenticated(),
-            vani: this
-        };
-
-        try {
-            await this.runMiddlewares(context);
-            const result = componentFunction(context);
-            
-            const renderTime = performance.now() - startTime;
-            if (this.pluginSystem) {
-                this.pluginSystem.executeHook('component:render', { 
-                    name, 
-                    renderTime, 
-                    props 
-                });
-            }
-            
-            return result;
-        } catch (error) {
-            console.error(`Error rendering component ${name}:`, error);
-            
-            if (this.pluginSystem) {
-                this.pluginSystem.executeHook('component:error', { 
-                    name, 
-                    error, 
-                    props 
-                });
-            }
-            
-            return this.createElement('div', { className: 'error' }, 
-                `Error rendering ${name}: ${error.message}`
+        if (vnode.type === 'fragment') {
+            return vnode.children.reduce(
+                (cursor, child) => this.hydrateNode(parent, child, cursor, namespace),
+                dom
             );
         }
-    }
 
-    // State management
-    useState(initialState) {
-        const componentName = this.currentComponent;
-        if (!componentName) {
-            throw new Error('useState must be called within a component');
+        if (vnode.type === 'component') {
+            const instance = this.createInstance(vnode);
+            vnode.rendered = this.renderInstance(instance);
+            const next = this.withInstance(instance, () =>
+                this.hydrateNode(parent, vnode.rendered, dom, namespace)
+            );
+            instance.mounted = true;
+            this.pendingMounts.push(instance);
+            return next;
         }
 
-        const stateKey = `${componentName}_state`;
-        
-        if (!this.state[stateKey]) {
-            this.state[stateKey] = typeof initialState === 'function' 
-                ? initialState() 
-                : initialState;
-            
-            if (this.pluginSystem) {
-                this.pluginSystem.executeHook('state:create', stateKey, this.state[stateKey]);
+        if (vnode.type === 'text') {
+            // Empty text is not serialized, so it never has a node to claim
+            if (vnode.text === '') {
+                vnode.dom = document.createTextNode('');
+                parent.insertBefore(vnode.dom, dom);
+                this.bindText(vnode);
+                return dom;
             }
-            
-            Object.values(this.plugins).forEach(plugin => {
-                if (plugin.onStateCreate) {
-                    plugin.onStateCreate(stateKey, this.state[stateKey]);
+
+            if (dom && dom.nodeType === 3) {
+                // Adjacent text vnodes arrive merged into one text node
+                if (dom.data !== vnode.text && dom.data.startsWith(vnode.text)) {
+                    dom.splitText(vnode.text.length);
+                } else if (dom.data !== vnode.text) {
+                    this.reportHydrationMismatch(parent, vnode, dom);
+                    dom.data = vnode.text;
                 }
+                vnode.dom = dom;
+                this.bindText(vnode);
+                return dom.nextSibling;
+            }
+        } else if (dom && dom.nodeType === 1 && dom.localName.toLowerCase() === String(vnode.tag).toLowerCase()) {
+            vnode.dom = dom;
+
+            const propKeys = Object.keys(vnode.props).filter(key => vnode.props[key] != null);
+            propKeys.filter(key => key !== 'value').forEach(key => {
+                setProperty(dom, key, vnode.props[key], undefined);
             });
-        }
 
-        const setState = (newState) => {
-            const oldState = this.state[stateKey];
-            this.state[stateKey] = typeof newState === 'function'
-                ? newState(oldState)
-                : { ...oldState, ...newState };
-            
-            if (this.pluginSystem) {
-                this.pluginSystem.executeHook('state:update', stateKey, oldState, this.state[stateKey]);
+            const elementNamespace = dom.namespaceURI === SVG_NAMESPACE || dom.namespaceURI === MATHML_NAMESPACE
+                ? dom.namespaceURI
+                : null;
+            const childNamespace = vnode.tag === 'foreignObject' ? null : elementNamespace;
+            const rest = vnode.children.reduce(
+                (cursor, child) => this.hydrateNode(dom, child, cursor, childNamespace),
+                dom.firstChild
+            );
+            this.removeUnclaimedNodes(dom, rest);
+
+            if (propKeys.includes('value')) {
+                setProperty(dom, 'value', vnode.props.value, undefined);
             }
-            
-            Object.values(this.plugins).forEach(plugin => {
-                if (plugin.onStateUpdate) {
-                    plugin.onStateUpdate(stateKey, oldState, this.state[stateKey]);
-                }
-            });
 
-            if (this.currentComponent) {
-                this.updateComponent(this.currentComponent);
+            return dom.nextSibling;
+        }
+
+        // Missing or different node: render this vnode fresh in its place
+        this.reportHydrationMismatch(parent, vnode, dom);
+        const fresh = this.createDOM(vnode, namespace);
+
+        if (!dom) {
+            parent.appendChild(fresh);
+            return null;
+        }
+
+        const next = dom.nextSibling;
+        parent.replaceChild(fresh, dom);
+        return next;
+    }
+
+    // Comments never belong to the tree; whitespace-only text is formatting
+    // unless a text vnode is looking for it
+    skipIgnorableNodes(dom, vnode) {
+        while (dom && (dom.nodeType === 8 ||
+            (dom.nodeType === 3 && vnode.type !== 'text' && !dom.data.trim()))) {
+            const next = dom.nextSibling;
+            dom.parentNode.removeChild(dom);
+            dom = next;
+        }
+        return dom;
+    }
+
+    removeUnclaimedNodes(parent, dom) {
+        while (dom) {
+            const next = dom.nextSibling;
+            if (dom.nodeType !== 8 && !(dom.nodeType === 3 && !dom.data.trim())) {
+                this.reportHydrationMismatch(parent, null, dom);
             }
+            parent.removeChild(dom);
+            dom = next;
+        }
+    }
+
+    reportHydrationMismatch(parent, vnode, dom) {
+        const details = {
+            expected: vnode ? describeVNode(vnode) : 'nothing',
+            actual: describeNode(dom),
+            parent
         };
 
-        return [this.state[stateKey], setState];
-    }
+        console.warn(`Hydration mismatch: expected ${details.expected}, found ${details.actual}`, parent);
 
-    updateComponent(componentName) {
-        if (this.vdom.rootElement && this.currentComponent === componentName) {
-            this.handleRoute(this.vdom.rootElement);
+        if (this.pluginSystem) {
+            this.pluginSystem.executeHook('hydrate:mismatch', details);
         }
     }
 
@@ -531,9 +2577,16 @@ class VaniJS {
     }
 
     destroy() {
+        if (this.vdom.currentTree) {
+            this.unmount(this.vdom.currentTree);
+            this.vdom.currentTree = null;
+        }
+
         if (this.routerHandlers) {
             window.removeEventListener('hashchange', this.routerHandlers.handleRouteChange);
+            window.removeEventListener('popstate', this.routerHandlers.handleRouteChange);
             window.removeEventListener('load', this.routerHandlers.handleRouteChange);
+            window.removeEventListener('click', this.routerHandlers.handleLinkClick);
         }
         
         if (this.pluginSystem) {
@@ -595,15 +2648,145 @@ class VaniJS {
     }
 }
 
+// ==================== BUILT-IN COMPONENTS ====================
+
+// Catches errors thrown while rendering descendants or running their effects
+// and renders `fallback` instead. `fallback` may be a vnode or a function
+// receiving (error, retry); `onError` is called with (error, info).
+function ErrorBoundary({ vani, props }) {
+    const [error, setError] = vani.useState(null);
+
+    vani.currentInstance.catchError = (caught, info) => {
+        setError(() => caught);
+        if (typeof props.onError === 'function') {
+            props.onError(caught, info);
+        }
+    };
+
+    if (error) {
+        const retry = () => setError(() => null);
+        const fallback = typeof props.fallback === 'function'
+            ? props.fallback(error, retry)
+            : props.fallback;
+
+        return fallback ?? vani.createElement('div', { className: 'error' },
+            `Something went wrong: ${error.message}`
+        );
+    }
+
+    return props.children;
+}
+
+// Hide or reveal the root nodes of a subtree without wrapping it in an
+// element (a wrapper would be misplaced inside tables, lists etc.)
+function setNodesHidden(nodes, hidden) {
+    nodes.forEach(node => {
+        if (node.nodeType === 1) {
+            if (hidden && !('_vaniSuspenseDisplay' in node)) {
+                node._vaniSuspenseDisplay = node.style.display;
+                node.style.display = 'none';
+            } else if (!hidden && '_vaniSuspenseDisplay' in node) {
+                node.style.display = node._vaniSuspenseDisplay;
+                delete node._vaniSuspenseDisplay;
+                if (!node.style.cssText) node.removeAttribute('style');
+            }
+        } else if (node.nodeType === 3) {
+            if (hidden && !('_vaniSuspenseText' in node)) {
+                node._vaniSuspenseText = node.data;
+                node.data = '';
+            } else if (!hidden && '_vaniSuspenseText' in node) {
+                node.data = node._vaniSuspenseText;
+                delete node._vaniSuspenseText;
+            }
+        }
+    });
+}
+
+// Shows `fallback` while descendants wait on async renders or resources.
+// `delay` (ms) holds the fallback back so fast loads never flash it. The
+// children stay mounted, their root nodes hidden while the fallback shows,
+// and are revealed once it is removed.
+function Suspense({ vani, props }) {
+    const [showFallback, setShowFallback] = vani.useState(false);
+    const suspense = vani.useRef({ pending: new Set(), timer: null, showing: false }).current;
+
+    suspense.showing = showFallback;
+
+    vani.currentInstance.catchPending = (promise) => {
+        if (suspense.pending.has(promise)) return;
+        suspense.pending.add(promise);
+
+        if (suspense.pending.size === 1) {
+            suspense.timer = setTimeout(() => {
+                if (suspense.pending.size > 0) {
+                    setShowFallback(() => true);
+                }
+            }, props.delay ?? 0);
+        }
+
+        const settle = () => {
+            suspense.pending.delete(promise);
+            if (suspense.pending.size > 0) return;
+
+            clearTimeout(suspense.timer);
+            if (suspense.showing) {
+                setShowFallback(() => false);
+            }
+        };
+        promise.then(settle, settle);
+    };
+
+    vani.onUnmount(() => clearTimeout(suspense.timer));
+
+    const fallback = typeof props.fallback === 'function' ? props.fallback() : props.fallback;
+    const content = vani.createElement(Fragment, null, props.children);
+
+    // After every render, so nodes the patch created are covered too;
+    // descendants re-rendering on their own call hideSuspended (see
+    // rerenderInstance)
+    vani.useEffect(() => {
+        setNodesHidden(vani.getDOMNodes(content), showFallback);
+    });
+    vani.currentInstance.hideSuspended = showFallback
+        ? () => setNodesHidden(vani.getDOMNodes(content), true)
+        : null;
+
+    return [content, showFallback ? fallback : null];
+}
+
 // Global instance and shorthand functions
 const vani = new VaniJS();
 const { createElement, defineComponent, defineRoute, useState, use, registerPlugin } = vani;
-window.vani = vani;
+
+if (typeof window !== 'undefined') {
+    window.vani = vani;
+}
 
 // Shorthand for createElement
 function h(tag, props, ...children) {
     return vani.createElement(tag, props, ...children);
 }
 
-export { VaniJS, vani, h };
+// Shorthands for the reactive primitives
+function signal(initialValue, options) {
+    return vani.signal(initialValue, options);
+}
+
+function computed(compute) {
+    return vani.computed(compute);
+}
+
+function effect(fn) {
+    return vani.effect(fn);
+}
+
+function createPortal(children, target, key) {
+    return vani.createPortal(children, target, key);
+}
+
+function defineCustomElement(name, componentName, options) {
+    return vani.defineCustomElement(name, componentName, options);
+}
+
+export { VaniJS, vani, h, Fragment, signal, computed, effect, createPortal, defineCustomElement };
 export default vani;
\ No newline at end of file
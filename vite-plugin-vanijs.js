@@ -0,0 +1,59 @@
+// vite-plugin-vanijs.js - Vite integration for VaniJS (JSX + component HMR)
+import path from 'node:path';
+
+const COMPONENT_DEFINITION = /\bdefineComponent\s*\(\s*['"`]/;
+
+// JSX compiles to h()/Fragment from vanijs.js. During development, modules
+// that register components accept their own hot updates: re-running them
+// calls defineComponent again, which re-renders the live instances in place
+// with their state intact.
+export default function vanijs(options = {}) {
+    const {
+        importSource = '/vanijs.js',
+        // Modules that start the app can't be re-run safely; editing them
+        // still falls back to a full reload
+        entries = ['app.js']
+    } = options;
+
+    let root = process.cwd();
+    let isServe = false;
+
+    return {
+        name: 'vanijs',
+
+        config() {
+            return {
+                esbuild: {
+                    jsx: 'transform',
+                    jsxFactory: '__vaniH',
+                    jsxFragment: '__vaniFragment',
+                    // Aliased so modules can still import h/Fragment themselves
+                    jsxInject: `import { h as __vaniH, Fragment as __vaniFragment } from '${importSource}';`
+                }
+            };
+        },
+
+        configResolved(config) {
+            root = config.root;
+            isServe = config.command === 'serve';
+        },
+
+        transform(code, id) {
+            if (!isServe || id.includes('/node_modules/') || !/\.(m?js|jsx|tsx?)$/.test(id.split('?')[0])) {
+                return null;
+            }
+
+            const file = path.relative(root, id.split('?')[0]).split(path.sep).join('/');
+            if (entries.includes(file) || !COMPONENT_DEFINITION.test(code) || code.includes('import.meta.hot')) {
+                return null;
+            }
+
+            return {
+                code: `${code}\nif (import.meta.hot) {\n    import.meta.hot.accept();\n}\n`,
+                map: null
+            };
+        }
+    };
+}
+
+export { vanijs };
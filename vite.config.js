@@ -1,6 +1,9 @@
 import { defineConfig } from 'vite';
+import vanijs from './vite-plugin-vanijs.js';
+import { vaniPrerender } from './prerender.js';
 
 export default defineConfig({
+  plugins: [vanijs(), vaniPrerender()],
   server: { port: 5173, strictPort: true },
   build: {
     target: 'es2020',
@@ -8,4 +11,4 @@ export default defineConfig({
     outDir: 'dist',
     emptyOutDir: true
   }
-});
\ No newline at end of file
+});